@@ -0,0 +1,11 @@
+// See https://svelte.dev/docs/kit/types#app.d.ts
+declare global {
+	namespace App {
+		interface Locals {
+			/** Logged-in household member, null when logged out or when auth is disabled */
+			user: import('$lib/server/session').SessionUser | null;
+		}
+	}
+}
+
+export {};
@@ -0,0 +1,9 @@
+// @ts-check
+import { isAuthEnabled } from '$lib/server/auth';
+import { readSession } from '$lib/server/session';
+
+/** @type {import('@sveltejs/kit').Handle} */
+export async function handle({ event, resolve }) {
+	event.locals.user = isAuthEnabled() ? await readSession(event.cookies) : null;
+	return resolve(event);
+}
@@ -0,0 +1,71 @@
+// @ts-check
+import { API_BASE, OdooApiError } from '$lib/odoo';
+
+/**
+ * @typedef {Object} CurrentUser
+ * @property {string} login
+ * @property {string} name
+ * @property {number|null} uid
+ */
+
+/**
+ * Call the session endpoint
+ * @param {'GET'|'POST'} method
+ * @param {any} [body]
+ * @returns {Promise<any>}
+ */
+async function callAuth(method, body) {
+	const response = await fetch(`${API_BASE}/api/auth`, {
+		method,
+		headers: body ? { 'Content-Type': 'application/json' } : undefined,
+		credentials: 'include',
+		body: body ? JSON.stringify(body) : undefined
+	});
+
+	let result;
+	try {
+		result = await response.json();
+	} catch {
+		throw new OdooApiError(`Server error (HTTP ${response.status})`, 'unavailable');
+	}
+
+	if (!result.success) {
+		throw new OdooApiError(result.error || 'API Error', result.code, result);
+	}
+
+	return result;
+}
+
+/**
+ * Log in a household member and start a session
+ * @param {string} login
+ * @param {string} password
+ * @returns {Promise<CurrentUser>}
+ */
+export async function login(login, password) {
+	const result = await callAuth('POST', { action: 'login', data: { login, password } });
+	return result.user;
+}
+
+/**
+ * End the session. Cached data and queued changes stay on the device.
+ */
+export async function logout() {
+	await callAuth('POST', { action: 'logout' });
+}
+
+/**
+ * Member of the current session
+ * @returns {Promise<{ user: CurrentUser|null, authEnabled: boolean }>} - user is null when not logged in
+ */
+export async function fetchCurrentUser() {
+	try {
+		const { user, authEnabled } = await callAuth('GET');
+		return { user, authEnabled };
+	} catch (error) {
+		if (error instanceof OdooApiError && error.code === 'unauthorized') {
+			return { user: null, authEnabled: true };
+		}
+		throw error;
+	}
+}
@@ -0,0 +1,292 @@
+// @ts-check
+
+/**
+ * Backup and Restore of Local App State
+ *
+ * A backup is one JSON file with every IndexedDB store (inventory, outbox,
+ * settings, ...) and the inventory cache metadata, so unsynced changes survive
+ * a wiped browser storage. Restoring first builds a plan - what would be added,
+ * overwritten or removed per store - which the settings page shows before
+ * anything is written.
+ *
+ * The backup's outbox is planned on its own: entries still queued here or
+ * already handled by the server (see getSentKeys) are never sent again, and
+ * the rest is only queued when the user asks for it. The local queue is kept
+ * in both modes.
+ */
+
+import { STORES, DB_VERSION, getAll, getKeyPath, bulkAdd, replaceAll } from '$lib/db';
+import { CACHE_META_KEY } from '$lib/stores/inventoryCache';
+import { getSentKeys, rememberSentKeys } from '$lib/outbox';
+
+const BACKUP_FORMAT = 'fridge_inventory_backup';
+
+/**
+ * Stores added by each database version (see MIGRATIONS in db.js). A backup
+ * from an older version gets them as empty stores when it is restored.
+ * @type {Record<number, string[]>}
+ */
+const STORES_ADDED = {
+	1: [STORES.PARTNERS, STORES.CONFIG],
+	2: [STORES.OUTBOX],
+	3: [STORES.INVENTORY],
+	4: [STORES.LOCATIONS, STORES.CATEGORIES],
+	5: [STORES.SHOPPING],
+	6: [STORES.MOVEMENTS],
+	7: [STORES.SCHEMA]
+};
+
+/**
+ * @typedef {Object} Backup
+ * @property {string} format - Always 'fridge_inventory_backup'
+ * @property {number} version - Database version the backup was made with
+ * @property {string} createdAt - ISO timestamp
+ * @property {Record<string, any[]>} stores - All records, per store name
+ * @property {Record<string, any>|null} cacheMeta - Inventory sync metadata
+ */
+
+/**
+ * @typedef {'merge'|'replace'} RestoreMode
+ * merge adds what is missing locally and keeps everything else,
+ * replace makes the local database an exact copy of the backup
+ */
+
+/**
+ * @typedef {Object} StoreChange
+ * @property {string} store
+ * @property {number} inBackup - Records in the backup
+ * @property {number} added - Records the device doesn't have yet
+ * @property {number} overwritten - Local records replaced by the backup's version
+ * @property {number} kept - Local records left as they are
+ * @property {number} removed - Local records that are not in the backup
+ */
+
+/**
+ * @typedef {Object} OutboxChange
+ * @property {number} inBackup - Unsynced changes in the backup
+ * @property {number} queued - Changes still queued on this device
+ * @property {number} sent - Changes the server has already handled
+ * @property {number} unknown - Changes this device knows nothing about; they may or may not have reached the server
+ */
+
+/**
+ * @typedef {Object} RestorePlan
+ * @property {StoreChange[]} stores
+ * @property {OutboxChange} outbox
+ */
+
+/**
+ * Read every store into a backup
+ * @returns {Promise<Backup>}
+ */
+export async function createBackup() {
+	/** @type {Record<string, any[]>} */
+	const stores = {};
+	for (const store of Object.values(STORES)) {
+		stores[store] = await getAll(store);
+	}
+
+	const meta = localStorage.getItem(CACHE_META_KEY);
+
+	return {
+		format: BACKUP_FORMAT,
+		version: DB_VERSION,
+		createdAt: new Date().toISOString(),
+		stores,
+		cacheMeta: meta ? JSON.parse(meta) : null
+	};
+}
+
+/**
+ * File name for a backup, e.g. fridge-inventory-backup-2026-10-19.json
+ * @param {Backup} backup
+ * @returns {string}
+ */
+export function backupFilename(backup) {
+	return `fridge-inventory-backup-${backup.createdAt.slice(0, 10)}.json`;
+}
+
+/**
+ * Check a backup file and bring it up to the current database version
+ * @param {string} text - File content
+ * @returns {Backup}
+ * @throws {Error} When the file is not a backup or was made by a newer app version
+ */
+export function parseBackup(text) {
+	let backup;
+	try {
+		backup = JSON.parse(text);
+	} catch {
+		throw new Error('The file is not valid JSON');
+	}
+
+	if (!backup || backup.format !== BACKUP_FORMAT) {
+		throw new Error('The file is not a fridge_inventory backup');
+	}
+	if (!Number.isInteger(backup.version) || backup.version < 1) {
+		throw new Error('The backup has no valid version');
+	}
+	if (backup.version > DB_VERSION) {
+		throw new Error(`The backup was made by a newer version of the app (database v${backup.version})`);
+	}
+	if (!backup.stores || typeof backup.stores !== 'object') {
+		throw new Error('The backup contains no data');
+	}
+
+	for (const [store, records] of Object.entries(backup.stores)) {
+		if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+			throw new Error(`The backup's ${store} data is damaged`);
+		}
+	}
+
+	return migrateBackup(backup);
+}
+
+/**
+ * Upgrade an older backup, one database version at a time
+ * @param {Backup} backup
+ * @returns {Backup}
+ */
+function migrateBackup(backup) {
+	const stores = { ...backup.stores };
+
+	for (let version = backup.version + 1; version <= DB_VERSION; version++) {
+		for (const store of STORES_ADDED[version] || []) {
+			stores[store] = stores[store] || [];
+		}
+	}
+
+	return { ...backup, version: DB_VERSION, stores, cacheMeta: backup.cacheMeta || null };
+}
+
+/**
+ * Work out, per store, which records a restore writes
+ * @param {Backup} backup
+ * @param {RestoreMode} mode
+ */
+async function diffStores(backup, mode) {
+	const diffs = [];
+
+	for (const store of Object.values(STORES)) {
+		if (store === STORES.OUTBOX) continue;
+
+		const keyPath = await getKeyPath(store);
+		const local = new Map((await getAll(store)).map(record => [record[keyPath], record]));
+		const incoming = backup.stores[store] || [];
+
+		const added = [];
+		let overwritten = 0;
+		for (const record of incoming) {
+			if (!local.has(record[keyPath])) {
+				added.push(record);
+			} else if (mode === 'replace') {
+				overwritten++;
+			}
+		}
+
+		diffs.push({
+			store,
+			incoming,
+			added,
+			/** @type {StoreChange} */
+			change: {
+				store,
+				inBackup: incoming.length,
+				added: added.length,
+				overwritten,
+				kept: mode === 'merge' ? local.size : 0,
+				// replace clears the store, so every local record the backup doesn't overwrite is gone
+				removed: mode === 'replace' ? local.size - overwritten : 0
+			}
+		});
+	}
+
+	return diffs;
+}
+
+/**
+ * Sort the backup's outbox entries by what this device knows about them.
+ * Entries from before outbox keys existed are matched on their queue time.
+ * @param {Backup} backup
+ */
+async function diffOutbox(backup) {
+	const local = await getAll(STORES.OUTBOX);
+	const queuedKeys = new Set(local.map(entry => entry.key || entry.createdAt));
+	const sentKeys = await getSentKeys();
+	const incoming = backup.stores[STORES.OUTBOX] || [];
+
+	const unknown = [];
+	let queued = 0;
+	let sent = 0;
+	for (const entry of incoming) {
+		if (queuedKeys.has(entry.key || entry.createdAt)) {
+			queued++;
+		} else if (entry.key && sentKeys.has(entry.key)) {
+			sent++;
+		} else {
+			unknown.push(entry);
+		}
+	}
+
+	return {
+		sentKeys,
+		unknown,
+		/** @type {OutboxChange} */
+		change: { inBackup: incoming.length, queued, sent, unknown: unknown.length }
+	};
+}
+
+/**
+ * Dry run: what a restore would change, without writing anything
+ * @param {Backup} backup
+ * @param {RestoreMode} mode
+ * @returns {Promise<RestorePlan>}
+ */
+export async function planRestore(backup, mode) {
+	return {
+		stores: (await diffStores(backup, mode)).map(diff => diff.change),
+		outbox: (await diffOutbox(backup)).change
+	};
+}
+
+/**
+ * Restore a backup into the local database. The page should be reloaded
+ * afterwards so the stores pick up the restored data.
+ * @param {Backup} backup
+ * @param {RestoreMode} mode
+ * @param {Object} [options]
+ * @param {boolean} [options.resend=false] - Queue the backup's unknown outbox entries again
+ * @returns {Promise<RestorePlan>} - What was changed; unknown outbox entries are only queued with resend
+ */
+export async function applyRestore(backup, mode, { resend = false } = {}) {
+	const diffs = await diffStores(backup, mode);
+	const outbox = await diffOutbox(backup);
+
+	for (const { store, incoming, added } of diffs) {
+		if (mode === 'replace') {
+			await replaceAll(store, incoming);
+		} else {
+			await bulkAdd(store, added);
+		}
+	}
+
+	// Replace overwrites the config store, which holds the log of sent changes
+	await rememberSentKeys([...outbox.sentKeys]);
+
+	if (resend) {
+		// Queue restored changes after the local ones, under new seq numbers
+		await bulkAdd(STORES.OUTBOX, outbox.unknown.map(({ seq, ...entry }) => entry));
+	}
+
+	if (mode === 'replace' && backup.cacheMeta) {
+		localStorage.setItem(CACHE_META_KEY, JSON.stringify(backup.cacheMeta));
+	} else {
+		// Restored records may be older than the last sync, so the next sync fetches everything
+		localStorage.removeItem(CACHE_META_KEY);
+	}
+
+	return {
+		stores: diffs.map(diff => diff.change),
+		outbox: outbox.change
+	};
+}
@@ -0,0 +1,256 @@
+// @ts-check
+
+/**
+ * Barcode Reading (EAN-13, EAN-8, UPC-A)
+ *
+ * Uses the browser's BarcodeDetector where available and falls back to a small
+ * pure-JS decoder that scans a few rows of a camera frame.
+ */
+
+const DETECTOR_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+
+// Module widths (space, bar, space, bar) of the left-hand odd-parity (L) digits.
+// Right-hand (R) digits use the same widths starting with a bar; even-parity (G)
+// digits are the L widths reversed.
+const L_PATTERNS = [
+	[3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+	[1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+const G_PATTERNS = L_PATTERNS.map((p) => [...p].reverse());
+
+// Parity of the six left digits encodes the first EAN-13 digit (L = false, G = true)
+const FIRST_DIGIT_PARITY = [
+	'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+	'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'
+];
+
+// Worst acceptable average deviation (in modules) when matching a digit
+const MAX_DIGIT_ERROR = 0.6;
+
+// Rows of the frame tried by the fallback decoder, as fractions of the height
+const SCAN_ROWS = [0.5, 0.45, 0.55, 0.4, 0.6, 0.35, 0.65, 0.3, 0.7];
+
+/**
+ * Check the GS1 check digit of an EAN-8, UPC-A or EAN-13 code
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isValidBarcode(code) {
+	if (!/^(\d{8}|\d{12}|\d{13})$/.test(code)) return false;
+
+	const digits = code.split('').map(Number);
+	const check = digits.pop();
+	// Weights alternate 3,1,... starting from the digit next to the check digit
+	const sum = digits.reverse().reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+	return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * Normalize a scanned code so the same product always yields the same string.
+ * UPC-A is EAN-13 with a leading zero, and detectors report either form.
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeBarcode(code) {
+	const digits = String(code || '').replace(/\D/g, '');
+	return digits.length === 12 ? `0${digits}` : digits;
+}
+
+/**
+ * Match four run widths against a set of digit patterns
+ * @param {number[]} widths
+ * @param {number[][]} patterns
+ * @returns {{ digit: number, error: number }}
+ */
+function matchDigit(widths, patterns) {
+	const total = widths.reduce((a, b) => a + b, 0);
+	let best = { digit: -1, error: Infinity };
+
+	patterns.forEach((pattern, digit) => {
+		let error = 0;
+		for (let i = 0; i < 4; i++) {
+			error += Math.abs((widths[i] * 7) / total - pattern[i]);
+		}
+		if (error < best.error) best = { digit, error };
+	});
+	return best;
+}
+
+/**
+ * Whether a guard pattern's runs are each about one module wide
+ * @param {number[]} widths
+ * @param {number} moduleWidth
+ * @returns {boolean}
+ */
+function isGuard(widths, moduleWidth) {
+	return widths.every((w) => w > moduleWidth * 0.4 && w < moduleWidth * 1.8);
+}
+
+/**
+ * Try to read an EAN-13 or EAN-8 symbol starting at a given run
+ * @param {number[]} runs - Alternating run widths; runs[start] must be a bar
+ * @param {number} start
+ * @param {number} leftDigits - 6 for EAN-13, 4 for EAN-8
+ * @returns {string|null}
+ */
+function decodeAt(runs, start, leftDigits) {
+	const runCount = 3 + leftDigits * 4 + 5 + leftDigits * 4 + 3;
+	if (start + runCount > runs.length) return null;
+
+	const symbol = runs.slice(start, start + runCount);
+	const modules = 3 + leftDigits * 7 + 5 + leftDigits * 7 + 3;
+	const moduleWidth = symbol.reduce((a, b) => a + b, 0) / modules;
+
+	const middle = 3 + leftDigits * 4;
+	if (
+		!isGuard(symbol.slice(0, 3), moduleWidth) ||
+		!isGuard(symbol.slice(middle, middle + 5), moduleWidth) ||
+		!isGuard(symbol.slice(runCount - 3), moduleWidth)
+	) {
+		return null;
+	}
+
+	let parity = '';
+	let left = '';
+	for (let i = 0; i < leftDigits; i++) {
+		const widths = symbol.slice(3 + i * 4, 7 + i * 4);
+		const l = matchDigit(widths, L_PATTERNS);
+		const g = leftDigits === 6 ? matchDigit(widths, G_PATTERNS) : { digit: -1, error: Infinity };
+		const best = g.error < l.error ? g : l;
+		if (best.error > MAX_DIGIT_ERROR * 4) return null;
+		parity += best === g ? 'G' : 'L';
+		left += best.digit;
+	}
+
+	let right = '';
+	for (let i = 0; i < leftDigits; i++) {
+		const offset = middle + 5 + i * 4;
+		const best = matchDigit(symbol.slice(offset, offset + 4), L_PATTERNS);
+		if (best.error > MAX_DIGIT_ERROR * 4) return null;
+		right += best.digit;
+	}
+
+	let code = left + right;
+	if (leftDigits === 6) {
+		const first = FIRST_DIGIT_PARITY.indexOf(parity);
+		if (first === -1) return null;
+		code = first + code;
+	}
+
+	return isValidBarcode(code) ? code : null;
+}
+
+/**
+ * Decode one row of grayscale pixels
+ * @param {number[]} row - Luminance values (0-255)
+ * @returns {string|null}
+ */
+function decodeRow(row) {
+	let min = 255;
+	let max = 0;
+	for (const value of row) {
+		if (value < min) min = value;
+		if (value > max) max = value;
+	}
+	// Not enough contrast to contain a barcode
+	if (max - min < 40) return null;
+	const threshold = (min + max) / 2;
+
+	// Run lengths, starting with the first dark run
+	const runs = [];
+	let dark = true;
+	let length = 0;
+	let started = false;
+	for (const value of row) {
+		const isDark = value < threshold;
+		if (!started) {
+			if (!isDark) continue;
+			started = true;
+		}
+		if (isDark === dark) {
+			length++;
+		} else {
+			runs.push(length);
+			dark = isDark;
+			length = 1;
+		}
+	}
+	if (length > 0) runs.push(length);
+
+	// Even indexes are bars; try every bar as the start guard
+	for (let start = 0; start < runs.length; start += 2) {
+		const code = decodeAt(runs, start, 6) || decodeAt(runs, start, 4);
+		if (code) return code;
+	}
+	return null;
+}
+
+/**
+ * Pure-JS fallback: look for an EAN/UPC symbol in a few rows of an image,
+ * in both directions so upside-down codes are read too
+ * @param {ImageData} imageData
+ * @returns {string|null}
+ */
+export function decodeImageData(imageData) {
+	const { data, width, height } = imageData;
+
+	for (const fraction of SCAN_ROWS) {
+		const y = Math.floor(height * fraction);
+		const row = [];
+		for (let x = 0; x < width; x++) {
+			const i = (y * width + x) * 4;
+			row.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+		}
+
+		const code = decodeRow(row) || decodeRow(row.reverse());
+		if (code) return code;
+	}
+	return null;
+}
+
+/**
+ * Create a reader that finds a barcode in a video frame or image
+ * @returns {Promise<{ native: boolean, detect: (source: HTMLVideoElement|HTMLCanvasElement|ImageBitmap) => Promise<string|null> }>}
+ */
+export async function createBarcodeReader() {
+	// BarcodeDetector is not in the TypeScript DOM typings yet
+	const Detector = /** @type {any} */ (globalThis).BarcodeDetector;
+
+	if (Detector) {
+		const supported = await Detector.getSupportedFormats();
+		const formats = DETECTOR_FORMATS.filter((f) => supported.includes(f));
+
+		if (formats.length > 0) {
+			const detector = new Detector({ formats });
+			return {
+				native: true,
+				async detect(source) {
+					const results = await detector.detect(source);
+					const found = results.find((r) => isValidBarcode(normalizeBarcode(r.rawValue)));
+					return found ? normalizeBarcode(found.rawValue) : null;
+				}
+			};
+		}
+	}
+
+	const canvas = document.createElement('canvas');
+	const context = canvas.getContext('2d', { willReadFrequently: true });
+
+	return {
+		native: false,
+		async detect(source) {
+			const sourceWidth = 'videoWidth' in source ? source.videoWidth : source.width;
+			const sourceHeight = 'videoHeight' in source ? source.videoHeight : source.height;
+			if (!sourceWidth || !sourceHeight) return null;
+
+			// Scale down large frames; a barcode across the frame still has plenty of pixels
+			const scale = Math.min(1, 800 / sourceWidth);
+			canvas.width = Math.round(sourceWidth * scale);
+			canvas.height = Math.round(sourceHeight * scale);
+			context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+			const code = decodeImageData(context.getImageData(0, 0, canvas.width, canvas.height));
+			return code ? normalizeBarcode(code) : null;
+		}
+	};
+}
@@ -0,0 +1,155 @@
+// @ts-check
+
+/**
+ * CSV Parsing and Formatting
+ *
+ * Small RFC 4180 implementation: quoted fields may contain delimiters, quotes
+ * ("") and line breaks. Spreadsheets in many locales save with ';', so the
+ * delimiter is detected from the header line.
+ *
+ * Text that a spreadsheet would run as a formula is written with a leading '
+ * (see toCsv); parsing takes it off again, so a file round-trips unchanged.
+ */
+
+/**
+ * @typedef {Object} CsvRow
+ * @property {number} line - Line in the file the row starts on (the first line is 1)
+ * @property {string[]} fields
+ */
+
+// Text starting like a formula, possibly behind quotes added by an earlier export
+const FORMULA_LIKE = /^'*[=+\-@]/;
+
+/**
+ * Guess the delimiter from the first line (outside quotes)
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+	const counts = { ',': 0, ';': 0, '\t': 0 };
+	let quoted = false;
+
+	for (const char of text) {
+		if (char === '"') quoted = !quoted;
+		else if (!quoted && (char === '\n' || char === '\r')) break;
+		else if (!quoted && char in counts) counts[char]++;
+	}
+
+	const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+	return count > 0 ? best : ',';
+}
+
+/**
+ * Take off the ' that toCsv puts in front of formula-like text
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeFormula(value) {
+	return /^'+[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * Parse CSV text into rows of fields, each with the line it starts on.
+ * Blank lines are skipped but still counted.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected when omitted
+ * @returns {CsvRow[]}
+ */
+export function parseCsvRows(text, delimiter) {
+	// Drop the byte order mark Excel puts in front of UTF-8 files
+	const input = text.replace(/^\uFEFF/, '');
+	const separator = delimiter || detectDelimiter(input);
+	/** @type {CsvRow[]} */
+	const rows = [];
+	/** @type {string[]} */
+	let fields = [];
+	let field = '';
+	let quoted = false;
+	let line = 1;
+	let rowLine = 1;
+
+	const endField = () => {
+		fields.push(unescapeFormula(field));
+		field = '';
+	};
+	const endRow = () => {
+		endField();
+		rows.push({ line: rowLine, fields });
+		fields = [];
+	};
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i];
+		const newline = char === '\n' || char === '\r';
+		const crlf = char === '\r' && input[i + 1] === '\n';
+		if (crlf) i++;
+
+		if (quoted) {
+			if (char === '"' && input[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += crlf ? '\r\n' : char;
+			}
+		} else if (char === '"' && field === '') {
+			quoted = true;
+		} else if (char === separator) {
+			endField();
+		} else if (newline) {
+			endRow();
+			rowLine = line + 1;
+		} else {
+			field += char;
+		}
+
+		if (newline) line++;
+	}
+
+	if (field !== '' || fields.length > 0) {
+		endRow();
+	}
+
+	return rows.filter(row => row.fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into rows of fields. Blank lines are skipped.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected when omitted
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter) {
+	return parseCsvRows(text, delimiter).map(row => row.fields);
+}
+
+/**
+ * Quote a value if needed. Text starting with =, +, - or @ is prefixed with '
+ * so spreadsheets don't run it as a formula (text that already starts with '
+ * and then one of those gets another ', so parsing gives it back unchanged).
+ * @param {any} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function formatField(value, delimiter) {
+	if (value === null || value === undefined || value === false) return '';
+	let text = String(value);
+	if (typeof value === 'string' && FORMULA_LIKE.test(text)) {
+		text = `'${text}`;
+	}
+	if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+		return `"${text.replace(/"/g, '""')}"`;
+	}
+	return text;
+}
+
+/**
+ * Format rows as CSV with CRLF line endings
+ * @param {any[][]} rows - First row is usually the header
+ * @param {string} [delimiter]
+ * @returns {string}
+ */
+export function toCsv(rows, delimiter = ',') {
+	return rows.map(row => row.map(value => formatField(value, delimiter)).join(delimiter)).join('\r\n');
+}
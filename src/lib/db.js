@@ -4,11 +4,12 @@
  * IndexedDB Manager for Offline Data Storage
  *
  * This module provides a simple interface to IndexedDB for storing master data
- * from Odoo that needs to be available offline (partners, categories, config, etc.)
+ * from Odoo that needs to be available offline (partners, categories, config, etc.),
+ * the cached inventory records and the outbox of pending changes.
  */
 
 const DB_NAME = 'fridge_inventory_db';
-const DB_VERSION = 1;
+export const DB_VERSION = 7;
 
 /**
  * Define object stores for different data types
@@ -16,9 +17,58 @@ const DB_VERSION = 1;
 export const STORES = {
 	PARTNERS: 'partners',
 	CONFIG: 'config',
+	OUTBOX: 'outbox',
+	INVENTORY: 'inventory',
+	LOCATIONS: 'locations',
+	CATEGORIES: 'categories',
+	SHOPPING: 'shopping_list',
+	MOVEMENTS: 'movements',
+	SCHEMA: 'schema',
 	// Add more stores as needed for your application
 };
 
+/**
+ * Schema migrations, indexed by the version they upgrade to (entry 0 creates v1).
+ * Never edit an existing step - append a new one and bump DB_VERSION.
+ * @type {Array<(db: IDBDatabase, transaction: IDBTransaction) => void>}
+ */
+const MIGRATIONS = [
+	// v1: master data
+	(db) => {
+		db.createObjectStore(STORES.PARTNERS, { keyPath: 'id' });
+		db.createObjectStore(STORES.CONFIG, { keyPath: 'key' });
+	},
+	// v2: pending mutations, replayed in insertion order
+	(db) => {
+		db.createObjectStore(STORES.OUTBOX, { keyPath: 'seq', autoIncrement: true });
+	},
+	// v3: inventory records (previously kept in localStorage)
+	(db) => {
+		const store = db.createObjectStore(STORES.INVENTORY, { keyPath: 'id' });
+		store.createIndex('name', 'x_name');
+		store.createIndex('expiry_date', 'x_studio_expiry_date');
+		store.createIndex('write_date', 'write_date');
+	},
+	// v4: storage locations and categories (many2one targets)
+	(db) => {
+		db.createObjectStore(STORES.LOCATIONS, { keyPath: 'id' });
+		db.createObjectStore(STORES.CATEGORIES, { keyPath: 'id' });
+	},
+	// v5: manually added shopping list entries
+	(db) => {
+		db.createObjectStore(STORES.SHOPPING, { keyPath: 'id' });
+	},
+	// v6: stock movements, looked up per inventory item
+	(db) => {
+		const store = db.createObjectStore(STORES.MOVEMENTS, { keyPath: 'id' });
+		store.createIndex('inventory', 'x_studio_inventory');
+	},
+	// v7: field metadata per model, for forms built from fields_get
+	(db) => {
+		db.createObjectStore(STORES.SCHEMA, { keyPath: 'model' });
+	}
+];
+
 let dbInstance = null;
 
 /**
@@ -38,24 +88,22 @@ export function openDB() {
 			reject(new Error('Failed to open database'));
 		};
 
-		request.onsuccess = (event) => {
-			dbInstance = event.target.result;
+		request.onsuccess = () => {
+			dbInstance = request.result;
 			resolve(dbInstance);
 		};
 
 		request.onupgradeneeded = (event) => {
-			const db = event.target.result;
-
-			// Create object stores
-			if (!db.objectStoreNames.contains(STORES.PARTNERS)) {
-				db.createObjectStore(STORES.PARTNERS, { keyPath: 'id' });
-			}
+			const db = request.result;
 
-			if (!db.objectStoreNames.contains(STORES.CONFIG)) {
-				db.createObjectStore(STORES.CONFIG, { keyPath: 'key' });
+			// Run every migration the existing database hasn't seen yet
+			for (let version = event.oldVersion; version < DB_VERSION; version++) {
+				MIGRATIONS[version](db, request.transaction);
 			}
+		};
 
-			// Add more object stores as needed
+		request.onblocked = () => {
+			console.warn('Database upgrade is blocked by another open tab');
 		};
 	});
 }
@@ -63,8 +111,8 @@ export function openDB() {
 /**
  * Add or update a record in a store
  * @param {string} storeName - Name of the object store
- * @param {any} data - Data to store (must have 'id' or 'key' property)
- * @returns {Promise<void>}
+ * @param {any} data - Data to store (must have 'id' or 'key' property, unless the store auto-increments)
+ * @returns {Promise<IDBValidKey>} - Key of the stored record
  */
 export async function add(storeName, data) {
 	const db = await openDB();
@@ -73,7 +121,7 @@ export async function add(storeName, data) {
 		const store = transaction.objectStore(storeName);
 		const request = store.put(data);
 
-		request.onsuccess = () => resolve();
+		request.onsuccess = () => resolve(request.result);
 		request.onerror = () => reject(new Error(`Failed to add data to ${storeName}`));
 	});
 }
@@ -113,6 +161,25 @@ export async function getAll(storeName) {
 	});
 }
 
+/**
+ * Get all records matching a key or range on an index
+ * @param {string} storeName - Name of the object store
+ * @param {string} indexName - Name of the index
+ * @param {IDBValidKey|IDBKeyRange} [query] - Key or range to match (all records if omitted)
+ * @returns {Promise<any[]>} - Records in index order
+ */
+export async function getAllFromIndex(storeName, indexName, query) {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction([storeName], 'readonly');
+		const store = transaction.objectStore(storeName);
+		const request = store.index(indexName).getAll(query);
+
+		request.onsuccess = () => resolve(request.result || []);
+		request.onerror = () => reject(new Error(`Failed to query ${indexName} on ${storeName}`));
+	});
+}
+
 /**
  * Update a record in a store (alias for add since put handles both)
  * @param {string} storeName - Name of the object store
@@ -120,7 +187,7 @@ export async function getAll(storeName) {
  * @returns {Promise<void>}
  */
 export async function update(storeName, data) {
-	return add(storeName, data);
+	await add(storeName, data);
 }
 
 /**
@@ -193,6 +260,39 @@ export async function bulkAdd(storeName, dataArray) {
 	});
 }
 
+/**
+ * Replace the whole content of a store in a single transaction
+ * @param {string} storeName - Name of the object store
+ * @param {any[]} dataArray - Records that make up the new content
+ * @returns {Promise<void>}
+ */
+export async function replaceAll(storeName, dataArray) {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction([storeName], 'readwrite');
+		const store = transaction.objectStore(storeName);
+
+		store.clear();
+		for (const data of dataArray) {
+			store.put(data);
+		}
+
+		transaction.oncomplete = () => resolve();
+		transaction.onerror = () => reject(new Error(`Failed to replace data in ${storeName}`));
+		transaction.onabort = () => reject(new Error(`Failed to replace data in ${storeName}`));
+	});
+}
+
+/**
+ * Key path of a store, e.g. 'id' for records, 'key' for config or 'seq' for the outbox
+ * @param {string} storeName - Name of the object store
+ * @returns {Promise<string>}
+ */
+export async function getKeyPath(storeName) {
+	const db = await openDB();
+	return /** @type {string} */ (db.transaction([storeName], 'readonly').objectStore(storeName).keyPath);
+}
+
 /**
  * Close the database connection
  */
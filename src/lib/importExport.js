@@ -0,0 +1,226 @@
+// @ts-check
+
+/**
+ * Inventory Import and Export
+ *
+ * Export writes cached records as CSV or JSON. Import turns parsed CSV rows
+ * into create values: columns are mapped to fields, every row is validated and
+ * rows already in the inventory (same name and expiry date) are flagged, so
+ * the wizard on /import can show a preview before anything is created.
+ */
+
+import { toCsv } from '$lib/csv';
+import { many2oneId } from '$lib/inventoryUtils';
+
+/**
+ * @typedef {(field: string, value: any) => string} NameOf - Display name of a many2one value
+ */
+
+/**
+ * @typedef {Object} ImportRow
+ * @property {number} line - Line in the file the row starts on (the header is usually line 1)
+ * @property {Record<string, any>} values - Create values for inventoryCache.createRecords
+ * @property {string[]} errors - Empty when the row can be imported
+ * @property {'inventory'|'file'|null} duplicateOf - Where the same item already is
+ */
+
+// Fields written to an export, in column order; many2one fields are exported by name
+const EXPORT_FIELDS = [
+	'id',
+	'x_name',
+	'x_studio_items_count',
+	'x_studio_expiry_date',
+	'x_studio_barcode',
+	'x_studio_location',
+	'x_studio_category',
+	'x_studio_min_quantity',
+	'x_studio_unit_price'
+];
+
+const MANY2ONE_FIELDS = ['x_studio_location', 'x_studio_category'];
+
+/**
+ * Fields an import can fill, with the column headers they are recognized by
+ */
+export const IMPORT_FIELDS = {
+	x_name: { label: 'Name', required: true, aliases: ['name', 'item', 'product', 'description'] },
+	x_studio_items_count: { label: 'Count', required: false, aliases: ['count', 'quantity', 'qty', 'items', 'amount'] },
+	x_studio_expiry_date: {
+		label: 'Expiry date',
+		required: false,
+		aliases: ['expiry', 'expirydate', 'expires', 'bestbefore', 'useby', 'date']
+	}
+};
+
+/**
+ * Columns of an export: the app's fields, then the other fields of the schema
+ * (e.g. ones added in Studio)
+ * @param {import('$lib/schema').FieldInfo[]} extra
+ * @returns {{ name: string, many2one: boolean }[]}
+ */
+function exportColumns(extra) {
+	return [
+		...EXPORT_FIELDS.map(name => ({ name, many2one: MANY2ONE_FIELDS.includes(name) })),
+		...extra
+			.filter(field => !EXPORT_FIELDS.includes(field.name))
+			.map(field => ({ name: field.name, many2one: field.type === 'many2one' }))
+	];
+}
+
+/**
+ * Records as CSV rows, with a header
+ * @param {any[]} records
+ * @param {NameOf} nameOf
+ * @param {import('$lib/schema').FieldInfo[]} [extra] - More fields to export (see extraFields)
+ * @returns {string}
+ */
+export function exportCsv(records, nameOf, extra = []) {
+	const columns = exportColumns(extra);
+	const rows = records.map(record => columns.map(({ name, many2one }) =>
+		many2one ? nameOf(name, record[name]) : record[name]
+	));
+	return toCsv([columns.map(column => column.name), ...rows]);
+}
+
+/**
+ * Records as JSON; many2one fields as Odoo reads them, [id, name] or false
+ * @param {any[]} records
+ * @param {NameOf} nameOf
+ * @param {import('$lib/schema').FieldInfo[]} [extra] - More fields to export (see extraFields)
+ * @returns {string}
+ */
+export function exportJson(records, nameOf, extra = []) {
+	const columns = exportColumns(extra);
+	const exported = records.map(record => Object.fromEntries(columns.map(({ name, many2one }) => {
+		const value = record[name];
+		if (!many2one) return [name, value ?? false];
+		const id = many2oneId(value);
+		return [name, id ? [id, nameOf(name, value)] : false];
+	})));
+
+	return JSON.stringify({ exportedAt: new Date().toISOString(), records: exported }, null, 2);
+}
+
+/**
+ * Let the browser save a file
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type) {
+	// The byte order mark makes Excel read CSV as UTF-8
+	const blob = new Blob([type === 'text/csv' ? `\uFEFF${content}` : content], { type });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	URL.revokeObjectURL(url);
+}
+
+/**
+ * @param {string} header
+ */
+function normalizeHeader(header) {
+	return header.toLowerCase().replace(/^x_studio_|^x_/, '').replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guess which column holds each import field
+ * @param {string[]} headers
+ * @returns {Record<string, number|null>} - Column index per field, null when not found
+ */
+export function guessMapping(headers) {
+	const normalized = headers.map(normalizeHeader);
+	const used = new Set();
+
+	return Object.fromEntries(Object.entries(IMPORT_FIELDS).map(([field, { label, aliases }]) => {
+		const candidates = [normalizeHeader(field), normalizeHeader(label), ...aliases];
+		// Earlier candidates are better matches, e.g. "expiry date" before "date"
+		for (const candidate of candidates) {
+			const index = normalized.findIndex((header, i) => header === candidate && !used.has(i));
+			if (index >= 0) {
+				used.add(index);
+				return [field, index];
+			}
+		}
+		return [field, null];
+	}));
+}
+
+/**
+ * Read a date as 'YYYY-MM-DD'. Accepts ISO dates (optionally with a time) and
+ * day-first dates such as 31/12/2026, 31.12.2026 or 31-12-2026.
+ * @param {string} value
+ * @returns {string|null} - '' for an empty value, null when it is not a valid date
+ */
+export function parseImportDate(value) {
+	const text = value.trim();
+	if (!text) return '';
+
+	let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T].*)?$/.exec(text);
+	let year, month, day;
+	if (match) {
+		[year, month, day] = [match[1], match[2], match[3]].map(Number);
+	} else {
+		match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+		if (!match) return null;
+		[day, month, year] = [match[1], match[2], match[3]].map(Number);
+	}
+
+	const date = new Date(year, month - 1, day);
+	if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+		return null;
+	}
+	const pad = (n) => String(n).padStart(2, '0');
+	return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * @param {Record<string, any>} values
+ */
+function duplicateKey(values) {
+	return `${String(values.x_name || '').trim().toLowerCase()}|${values.x_studio_expiry_date || ''}`;
+}
+
+/**
+ * Turn data rows into validated create values and flag duplicates
+ * @param {import('$lib/csv').CsvRow[]} rows - CSV rows without the header
+ * @param {Record<string, number|null>} mapping - Column index per import field
+ * @param {any[]} records - Current inventory, to find duplicates
+ * @returns {ImportRow[]}
+ */
+export function prepareImport(rows, mapping, records) {
+	const existing = new Set(records.map(duplicateKey));
+	const seen = new Set();
+	const cell = (row, field) => mapping[field] === null ? '' : String(row.fields[mapping[field]] ?? '').trim();
+
+	return rows.map(row => {
+		const errors = [];
+		/** @type {Record<string, any>} */
+		const values = {};
+
+		values.x_name = cell(row, 'x_name');
+		if (!values.x_name) errors.push('Name is missing');
+
+		// Like the add form, a missing count means one item
+		const count = cell(row, 'x_studio_items_count');
+		values.x_studio_items_count = count === '' ? 1 : Number(count);
+		if (!Number.isInteger(values.x_studio_items_count) || values.x_studio_items_count < 0) {
+			errors.push(`Count "${count}" is not a whole number`);
+		}
+
+		const expiry = parseImportDate(cell(row, 'x_studio_expiry_date'));
+		if (expiry === null) {
+			errors.push(`Expiry date "${cell(row, 'x_studio_expiry_date')}" is not a date`);
+		} else if (expiry) {
+			values.x_studio_expiry_date = expiry;
+		}
+
+		const key = duplicateKey(values);
+		const duplicateOf = existing.has(key) ? 'inventory' : seen.has(key) ? 'file' : null;
+		seen.add(key);
+
+		return { line: row.line, values, errors, duplicateOf };
+	});
+}
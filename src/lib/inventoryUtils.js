@@ -24,6 +24,18 @@ export function normalizePerson(person) {
 	return String(person);
 }
 
+/**
+ * Get the id of a many2one value, which is an [id, name] tuple when read from
+ * Odoo and a bare id (or false) in locally made changes
+ * @param {any} value
+ * @returns {number|null}
+ */
+export function many2oneId(value) {
+	if (Array.isArray(value)) return value.length > 0 ? Number(value[0]) : null;
+	if (value === false || value == null || value === '') return null;
+	return Number(value);
+}
+
 /**
  * Format currency value
  * @param {number} value
@@ -52,6 +64,146 @@ export function formatDate(date) {
 	});
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Default number of days before expiry at which an item counts as "expiring soon"
+ */
+export const DEFAULT_WARNING_DAYS = 3;
+
+/**
+ * Parse a date-only string ('YYYY-MM-DD') as local midnight.
+ * new Date('YYYY-MM-DD') would parse it as UTC and can land on the previous day.
+ * @param {string} dateString
+ * @returns {Date}
+ */
+export function parseDateOnly(dateString) {
+	const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateString);
+	if (!match) return new Date(dateString);
+	return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Format a moment as an Odoo datetime ('YYYY-MM-DD HH:MM:SS' in UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toOdooDatetime(date) {
+	return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Parse an Odoo datetime, which is in UTC without a zone designator
+ * @param {string} value - 'YYYY-MM-DD HH:MM:SS'
+ * @returns {Date}
+ */
+export function parseOdooDatetime(value) {
+	return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Whole days from today until a date (0 = today, negative once it has passed)
+ * @param {string} dateString - Odoo date ('YYYY-MM-DD')
+ * @param {Date} [today]
+ * @returns {number|null} - null when there is no date
+ */
+export function daysUntil(dateString, today = new Date()) {
+	if (!dateString) return null;
+	const start = new Date(today);
+	start.setHours(0, 0, 0, 0);
+	return Math.round((parseDateOnly(dateString).getTime() - start.getTime()) / DAY_MS);
+}
+
+/**
+ * Check if a date lies before today
+ * @param {string} dateString - Odoo date ('YYYY-MM-DD')
+ * @returns {boolean}
+ */
+export function isExpired(dateString) {
+	const days = daysUntil(dateString);
+	return days !== null && days < 0;
+}
+
+/**
+ * @typedef {'expired'|'today'|'soon'|'later'|'none'} ExpiryGroup
+ */
+
+/**
+ * Classify an expiry date relative to today
+ * @param {string} dateString - Odoo date ('YYYY-MM-DD')
+ * @param {number} warningDays - Items expiring within this many days are 'soon'
+ * @param {Date} [today]
+ * @returns {ExpiryGroup}
+ */
+export function getExpiryGroup(dateString, warningDays, today = new Date()) {
+	const days = daysUntil(dateString, today);
+	if (days === null) return 'none';
+	if (days < 0) return 'expired';
+	if (days === 0) return 'today';
+	if (days <= warningDays) return 'soon';
+	return 'later';
+}
+
+/**
+ * @typedef {Object} ExpiryThresholds
+ * @property {number} default - Warning window in days for items without a category override
+ * @property {Record<string, number>} categories - Warning window per category id
+ */
+
+/**
+ * Warning window for a record, using its category override if there is one
+ * @param {any} record
+ * @param {ExpiryThresholds} [thresholds]
+ * @returns {number}
+ */
+export function getWarningDays(record, thresholds) {
+	const categoryId = many2oneId(record.x_studio_category);
+	const override = categoryId ? thresholds?.categories?.[categoryId] : undefined;
+	return override ?? thresholds?.default ?? DEFAULT_WARNING_DAYS;
+}
+
+/**
+ * How many units to buy to get an item back to its minimum quantity.
+ * Items without a minimum only need restocking once they have run out.
+ * @param {any} record
+ * @returns {number} - 0 when the item is sufficiently stocked
+ */
+export function getRestockQuantity(record) {
+	const count = Math.max(0, Number(record.x_studio_items_count) || 0);
+	const minimum = Number(record.x_studio_min_quantity) || 0;
+	if (minimum > 0) return Math.max(0, minimum - count);
+	return count === 0 ? 1 : 0;
+}
+
+/**
+ * Whether an item needs restocking (see getRestockQuantity)
+ * @param {any} record
+ * @returns {boolean}
+ */
+export function isLowStock(record) {
+	return getRestockQuantity(record) > 0;
+}
+
+/**
+ * Odoo domain for isLowStock. A domain can't compare two fields, so there is one
+ * branch per minimum quantity in use; it only has to be rebuilt when an item
+ * gets a new minimum, not when counts change.
+ * @param {number[]} minimums - Minimum quantities in use
+ * @returns {any[]}
+ */
+export function lowStockDomain(minimums) {
+	const none = ['|', ['x_studio_items_count', '=', false], ['x_studio_items_count', '<=', 0]];
+	const withoutMinimum = ['|', ['x_studio_min_quantity', '=', false], ['x_studio_min_quantity', '<=', 0]];
+	const belowMinimum = [...new Set(minimums)]
+		.filter(minimum => Number.isInteger(minimum) && minimum > 0)
+		.sort((a, b) => a - b)
+		.map(minimum => [
+			['x_studio_min_quantity', '=', minimum],
+			'|', ['x_studio_items_count', '=', false], ['x_studio_items_count', '<', minimum]
+		]);
+	return orDomains([...withoutMinimum, ...none], ...belowMinimum);
+}
+
 /**
  * Format relative time (e.g., "2 hours ago")
  * @param {number} timestamp - Milliseconds since epoch
@@ -99,20 +251,28 @@ export function isTempId(id) {
 }
 
 /**
- * Sort array of records by field
+ * Sort array of records by field. Empty values (false, null, '') go last in
+ * either order and text is compared case-insensitively.
  * @param {any[]} records
  * @param {string} field
  * @param {'asc'|'desc'} order
  * @returns {any[]}
  */
 export function sortRecords(records, field, order = 'asc') {
+	const isEmpty = (value) => value === false || value == null || value === '';
+
 	return [...records].sort((a, b) => {
-		const aVal = a[field];
-		const bVal = b[field];
+		const aVal = Array.isArray(a[field]) ? a[field][1] : a[field];
+		const bVal = Array.isArray(b[field]) ? b[field][1] : b[field];
+
+		if (isEmpty(aVal) || isEmpty(bVal)) {
+			return Number(isEmpty(aVal)) - Number(isEmpty(bVal));
+		}
 
-		if (aVal < bVal) return order === 'asc' ? -1 : 1;
-		if (aVal > bVal) return order === 'asc' ? 1 : -1;
-		return 0;
+		const result = typeof aVal === 'string' && typeof bVal === 'string'
+			? aVal.localeCompare(bVal, undefined, { sensitivity: 'base', numeric: true })
+			: aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
+		return order === 'asc' ? result : -result;
 	});
 }
 
@@ -125,13 +285,212 @@ export function sortRecords(records, field, order = 'asc') {
  */
 export function filterRecords(records, searchTerm, searchFields = ['x_name']) {
 	if (!searchTerm || searchTerm.trim() === '') return records;
+	return filterByDomain(records, buildSearchDomain(searchTerm, searchFields));
+}
 
-	const term = searchTerm.toLowerCase();
-	return records.filter(record => {
-		return searchFields.some(field => {
-			const value = record[field];
-			if (value == null) return false;
-			return String(value).toLowerCase().includes(term);
-		});
-	});
+/**
+ * Odoo domains
+ *
+ * A domain is a list of [field, operator, value] terms in prefix notation:
+ * '&' and '|' combine the two expressions that follow them, '!' negates the
+ * next one, and top-level terms are ANDed. The evaluator below gives the same
+ * answers as Odoo for the operators the app uses, so a filter written once can
+ * be sent to searchRecords online and run over the cached records offline.
+ */
+
+const LOGICAL_OPERATORS = ['&', '|', '!'];
+
+/**
+ * SQL-style pattern match with % and _ wildcards
+ * @param {any} value
+ * @param {string} pattern
+ * @param {boolean} caseInsensitive
+ * @returns {boolean}
+ */
+function likeMatch(value, pattern, caseInsensitive) {
+	if (value === false || value == null) return false;
+	const source = String(pattern)
+		.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+		.replace(/%/g, '.*')
+		.replace(/_/g, '.');
+	return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's').test(String(value));
+}
+
+/**
+ * Value of a field for comparison. many2one values compare by id, except for
+ * text operators, which match the name as Odoo does.
+ * @param {Record<string, any>} record
+ * @param {string} field
+ * @param {boolean} textual
+ * @returns {any}
+ */
+function domainValue(record, field, textual) {
+	if (field.includes('.')) {
+		throw new Error(`Dotted domain paths are not supported locally: ${field}`);
+	}
+
+	const value = record[field];
+	if (value == null || value === '') return false;
+	if (Array.isArray(value)) {
+		return textual ? String(value[1] ?? '') : Number(value[0]);
+	}
+	return value;
+}
+
+/**
+ * Whether a domain token is a [field, operator, value] term
+ * @param {any} token
+ * @returns {boolean}
+ */
+function isTerm(token) {
+	return Array.isArray(token) && token.length === 3 && typeof token[0] === 'string' && token[0] !== ''
+		&& typeof token[1] === 'string';
+}
+
+/**
+ * @param {Record<string, any>} record
+ * @param {any[]} term - [field, operator, value], checked with isTerm
+ * @returns {boolean}
+ */
+function matchTerm(record, [field, operator, expected]) {
+	const textual = operator.includes('like');
+	const value = domainValue(record, field, textual);
+
+	switch (operator) {
+		case '=':
+		case '==':
+			return expected === false ? value === false : value === expected;
+		case '!=':
+		case '<>':
+			return expected === false ? value !== false : value !== expected;
+		case '<':
+			return value !== false && value < expected;
+		case '<=':
+			return value !== false && value <= expected;
+		case '>':
+			return value !== false && value > expected;
+		case '>=':
+			return value !== false && value >= expected;
+		case 'in':
+			return Array.isArray(expected) && expected.includes(value);
+		case 'not in':
+			return Array.isArray(expected) && !expected.includes(value);
+		case 'like':
+			return likeMatch(value, `%${expected}%`, false);
+		case 'ilike':
+			return likeMatch(value, `%${expected}%`, true);
+		case 'not like':
+			return !likeMatch(value, `%${expected}%`, false);
+		case 'not ilike':
+			return !likeMatch(value, `%${expected}%`, true);
+		case '=like':
+			return likeMatch(value, expected, false);
+		case '=ilike':
+			return likeMatch(value, expected, true);
+		default:
+			throw new Error(`Unsupported domain operator: ${operator}`);
+	}
+}
+
+/**
+ * Whether a record satisfies an Odoo domain
+ * @param {Record<string, any>} record
+ * @param {any[]} domain - e.g. ['|', ['x_name', 'ilike', 'milk'], ['x_studio_items_count', '<', 2]]
+ * @returns {boolean}
+ * @throws {Error} On malformed domains and unsupported operators
+ */
+export function matchesDomain(record, domain) {
+	/** @type {boolean[]} */
+	const stack = [];
+
+	// Evaluate right to left so each operator finds its operands on the stack
+	for (let i = domain.length - 1; i >= 0; i--) {
+		const token = domain[i];
+
+		if (LOGICAL_OPERATORS.includes(token)) {
+			if (stack.length < (token === '!' ? 1 : 2)) {
+				throw new Error(`Domain operator ${token} is missing operands`);
+			}
+			if (token === '!') {
+				stack.push(!stack.pop());
+			} else {
+				const a = stack.pop();
+				const b = stack.pop();
+				stack.push(token === '&' ? a && b : a || b);
+			}
+		} else if (isTerm(token)) {
+			stack.push(matchTerm(record, token));
+		} else {
+			throw new Error(`Invalid domain term: ${JSON.stringify(token)}`);
+		}
+	}
+
+	return stack.every(Boolean);
+}
+
+/**
+ * Records matching an Odoo domain
+ * @param {any[]} records
+ * @param {any[]} domain
+ * @returns {any[]}
+ */
+export function filterByDomain(records, domain) {
+	if (!domain || domain.length === 0) return records;
+	return records.filter(record => matchesDomain(record, domain));
+}
+
+/**
+ * Combine domains with AND. Top-level expressions are ANDed implicitly, so
+ * complete domains can simply be concatenated.
+ * @param {...any[]} domains
+ * @returns {any[]}
+ */
+export function andDomains(...domains) {
+	return domains.flatMap(domain => domain || []);
+}
+
+/**
+ * Make a domain's implicit ANDs explicit, so it forms a single expression
+ * @param {any[]} domain
+ * @returns {any[]}
+ */
+export function normalizeDomain(domain) {
+	const result = [];
+	let expected = 1; // expressions still needed to complete the current one
+	for (const token of domain) {
+		if (expected === 0) {
+			// Another top-level expression follows: AND it with what we have
+			result.unshift('&');
+			expected = 1;
+		}
+		if (token === '&' || token === '|') {
+			expected++;
+		} else if (token !== '!') {
+			expected--;
+		}
+		result.push(token);
+	}
+	return result;
+}
+
+/**
+ * Combine domains with OR. An empty domain matches everything, and so does the result.
+ * @param {...any[]} domains
+ * @returns {any[]}
+ */
+export function orDomains(...domains) {
+	if (domains.length === 0 || domains.some(domain => !domain || domain.length === 0)) return [];
+	return [...Array(domains.length - 1).fill('|'), ...domains.flatMap(normalizeDomain)];
+}
+
+/**
+ * Domain matching records whose fields contain a search term (case-insensitive)
+ * @param {string} searchTerm
+ * @param {string[]} fields
+ * @returns {any[]} - Empty when there is nothing to search for
+ */
+export function buildSearchDomain(searchTerm, fields = ['x_name']) {
+	const term = (searchTerm || '').trim();
+	if (!term || fields.length === 0) return [];
+	return [...Array(fields.length - 1).fill('|'), ...fields.map(field => [field, 'ilike', term])];
 }
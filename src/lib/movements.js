@@ -0,0 +1,223 @@
+// @ts-check
+
+/**
+ * Stock Movements
+ *
+ * Every change of an item's count is recorded as a movement (delta, reason and
+ * time) in its own Odoo model, x_stock_movement. Movements go through the outbox
+ * like every other change and are also kept in the IndexedDB movements store,
+ * so an item's history can be shown offline. The proxy fills in which member
+ * made the change (see userField in server/policy.js).
+ */
+
+import { odooClient } from '$lib/odoo';
+import { STORES, add, get, getAll, remove, bulkAdd, replaceAll, getAllFromIndex } from '$lib/db';
+import { enqueue, resolveId } from '$lib/outbox';
+import {
+	generateTempId,
+	isTempId,
+	many2oneId,
+	toOdooDatetime,
+	parseOdooDatetime
+} from '$lib/inventoryUtils';
+
+export const MOVEMENT_MODEL = 'x_stock_movement';
+
+const FIELDS = [
+	'id',
+	'x_name',
+	'x_studio_inventory',
+	'x_studio_delta',
+	'x_studio_reason',
+	'x_studio_moved_at',
+	'x_studio_unit_price',
+	'x_studio_expiry_date',
+	'x_studio_user'
+];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {'consumed'|'discarded'|'restocked'|'corrected'} MovementReason
+ */
+
+/**
+ * @typedef {Object} Movement
+ * @property {number|string} id - Odoo id, or a temp id while the create is still queued
+ * @property {string} x_name - Item name at the time of the change
+ * @property {number|string|false} x_studio_inventory - Bare inventory id (temp id for offline-created items),
+ *   false once the item is gone
+ * @property {number} x_studio_delta - Change of the count, negative when units were taken out
+ * @property {MovementReason} x_studio_reason
+ * @property {string} x_studio_moved_at - When the change was made on the device, Odoo datetime
+ * @property {number} [x_studio_unit_price] - Unit price of the item at the time (0 when unknown)
+ * @property {string|false} [x_studio_expiry_date] - Expiry date of the item at the time
+ * @property {string|false} [x_studio_user] - Member who made the change, known after sync
+ */
+
+/**
+ * @typedef {Object} MovementSummary
+ * @property {number} consumed - Units used up
+ * @property {number} discarded - Units thrown away
+ * @property {number} restocked - Units added
+ * @property {number|null} consumedPerWeek - Average since the first movement; null with less than a week of history
+ */
+
+export const MOVEMENT_REASONS = {
+	consumed: { label: 'Consumed', icon: '🍽️' },
+	discarded: { label: 'Discarded', icon: '🗑️' },
+	restocked: { label: 'Restocked', icon: '🛒' },
+	corrected: { label: 'Corrected', icon: '✏️' }
+};
+
+function isOnline() {
+	return typeof navigator === 'undefined' || navigator.onLine;
+}
+
+/**
+ * A movement as kept locally: many2one as a bare id so it can be indexed
+ * @param {Record<string, any>} movement - As read from Odoo
+ * @returns {Movement}
+ */
+function fromOdoo(movement) {
+	return /** @type {Movement} */ ({
+		...movement,
+		x_studio_inventory: many2oneId(movement.x_studio_inventory) || false
+	});
+}
+
+/**
+ * @typedef {Object} NewMovement
+ * @property {number|string|null} inventoryId
+ * @property {string} name
+ * @property {number} delta
+ * @property {MovementReason} reason
+ * @property {number} [unitPrice]
+ * @property {string|false} [expiryDate]
+ */
+
+/**
+ * Record a count change and queue it for the server. The caller flushes the outbox.
+ * @param {NewMovement} movement
+ * @returns {Promise<void>}
+ */
+export async function recordMovement({ inventoryId, name, delta, reason, unitPrice = 0, expiryDate = false }) {
+	if (!delta) return;
+
+	const tempId = generateTempId();
+	const values = {
+		x_name: name,
+		x_studio_inventory: inventoryId ?? false,
+		x_studio_delta: delta,
+		x_studio_reason: reason,
+		x_studio_moved_at: toOdooDatetime(new Date()),
+		x_studio_unit_price: unitPrice,
+		x_studio_expiry_date: expiryDate
+	};
+
+	await add(STORES.MOVEMENTS, { id: tempId, ...values });
+	await enqueue({ action: 'create', model: MOVEMENT_MODEL, recordId: tempId, values });
+}
+
+/**
+ * Keep the local movements in step with the outbox. Called for every outbox event.
+ * @param {import('$lib/outbox').OutboxEvent} event
+ * @returns {Promise<void>}
+ */
+export async function handleMovementEvent(event) {
+	const { entry } = event;
+
+	try {
+		if (entry.model === MOVEMENT_MODEL) {
+			if (event.type === 'created') {
+				const movement = await get(STORES.MOVEMENTS, entry.recordId);
+				await remove(STORES.MOVEMENTS, entry.recordId);
+				if (movement) {
+					await add(STORES.MOVEMENTS, { ...movement, id: event.id });
+				}
+			} else if (event.type === 'failed' && entry.action === 'create') {
+				await remove(STORES.MOVEMENTS, entry.recordId);
+			}
+			return;
+		}
+
+		// An item created offline got its real id: its movements follow it
+		if (event.type === 'created') {
+			const linked = await getAllFromIndex(STORES.MOVEMENTS, 'inventory', entry.recordId);
+			await bulkAdd(STORES.MOVEMENTS, linked.map(m => ({ ...m, x_studio_inventory: event.id })));
+		}
+	} catch (e) {
+		console.warn('Failed to update local movements:', e);
+	}
+}
+
+/**
+ * Movements of an inventory item, newest first. Fetches the server's history
+ * when online and falls back to what is stored on the device.
+ * @param {number|string} inventoryId
+ * @returns {Promise<Movement[]>}
+ */
+export async function loadHistory(inventoryId) {
+	const id = resolveId(inventoryId);
+
+	if (!isTempId(id) && isOnline()) {
+		try {
+			const movements = await odooClient.searchRecords(
+				MOVEMENT_MODEL,
+				[['x_studio_inventory', '=', id]],
+				FIELDS
+			);
+			await bulkAdd(STORES.MOVEMENTS, movements.map(fromOdoo));
+		} catch (e) {
+			console.warn('Failed to fetch movements:', e);
+		}
+	}
+
+	const movements = await getAllFromIndex(STORES.MOVEMENTS, 'inventory', id);
+	return movements.sort((a, b) => b.x_studio_moved_at.localeCompare(a.x_studio_moved_at));
+}
+
+/**
+ * Every movement, e.g. for reports. Fetches them from the server when online
+ * and falls back to what is stored on the device.
+ * @returns {Promise<Movement[]>}
+ */
+export async function loadAllMovements() {
+	if (isOnline()) {
+		try {
+			const movements = await odooClient.searchRecords(MOVEMENT_MODEL, [], FIELDS);
+			// Keep the ones still waiting in the outbox
+			const pending = (await getAll(STORES.MOVEMENTS)).filter(m => isTempId(m.id));
+			await replaceAll(STORES.MOVEMENTS, [...movements.map(fromOdoo), ...pending]);
+		} catch (e) {
+			console.warn('Failed to fetch movements:', e);
+		}
+	}
+
+	return getAll(STORES.MOVEMENTS);
+}
+
+/**
+ * Totals per reason and the average consumption rate
+ * @param {Movement[]} movements
+ * @param {Date} [now]
+ * @returns {MovementSummary}
+ */
+export function summarizeMovements(movements, now = new Date()) {
+	const summary = { consumed: 0, discarded: 0, restocked: 0, consumedPerWeek: null };
+	let earliest = now.getTime();
+
+	for (const movement of movements) {
+		const delta = Number(movement.x_studio_delta) || 0;
+		if (movement.x_studio_reason === 'consumed') summary.consumed -= delta;
+		if (movement.x_studio_reason === 'discarded') summary.discarded -= delta;
+		if (movement.x_studio_reason === 'restocked') summary.restocked += delta;
+		earliest = Math.min(earliest, parseOdooDatetime(movement.x_studio_moved_at).getTime());
+	}
+
+	const weeks = (now.getTime() - earliest) / WEEK_MS;
+	if (weeks >= 1) {
+		summary.consumedPerWeek = Math.round((summary.consumed / weeks) * 10) / 10;
+	}
+	return summary;
+}
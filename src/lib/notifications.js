@@ -0,0 +1,110 @@
+// @ts-check
+
+/**
+ * Local Expiry Notifications
+ *
+ * Notifications are shown by the service worker (static/expiry-notifications.js),
+ * which reads the cached records straight from IndexedDB, so they work offline
+ * and need no push service. This module handles permission, settings and
+ * asking the worker to run a check.
+ */
+
+import { loadSetting, saveSetting, SETTINGS } from '$lib/settings';
+
+const PERIODIC_SYNC_TAG = 'expiry-check';
+const CHECK_INTERVAL_MS = 12 * 60 * 60 * 1000; // Browsers may run it less often
+
+/**
+ * @typedef {Object} NotificationSettings
+ * @property {boolean} enabled
+ * @property {number} leadDays - Notify this many days before the expiry date
+ * @property {string} quietStart - 'HH:MM', no notifications from this time...
+ * @property {string} quietEnd - ...until this time (may wrap past midnight)
+ * @property {'digest'|'per-item'} mode - One daily summary or one notification per item
+ */
+
+/** @type {NotificationSettings} */
+export const NOTIFICATION_DEFAULTS = {
+	enabled: false,
+	leadDays: 2,
+	quietStart: '22:00',
+	quietEnd: '07:00',
+	mode: 'digest'
+};
+
+/**
+ * Whether this browser can show notifications from a service worker
+ * @returns {boolean}
+ */
+export function isNotificationSupported() {
+	return typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator;
+}
+
+/**
+ * @returns {Promise<NotificationSettings>}
+ */
+export async function loadNotificationSettings() {
+	const saved = await loadSetting(SETTINGS.NOTIFICATIONS, {});
+	return { ...NOTIFICATION_DEFAULTS, ...saved };
+}
+
+/**
+ * Save settings, asking for permission and scheduling background checks when enabling
+ * @param {NotificationSettings} settings
+ * @returns {Promise<NotificationSettings>} - Saved settings (disabled if permission was refused)
+ */
+export async function saveNotificationSettings(settings) {
+	let saved = settings;
+
+	if (settings.enabled && isNotificationSupported()) {
+		const permission = await Notification.requestPermission();
+		if (permission !== 'granted') {
+			saved = { ...settings, enabled: false };
+		}
+	}
+
+	await saveSetting(SETTINGS.NOTIFICATIONS, saved);
+	await schedulePeriodicCheck(saved.enabled);
+
+	if (saved.enabled) {
+		await requestExpiryCheck();
+	}
+	return saved;
+}
+
+/**
+ * Register (or drop) periodic background sync where supported (installed Chromium PWAs)
+ * @param {boolean} enabled
+ */
+async function schedulePeriodicCheck(enabled) {
+	try {
+		const registration = await navigator.serviceWorker.getRegistration();
+		if (!registration) return;
+
+		// Periodic Background Sync is not in the TypeScript DOM typings yet
+		const periodicSync = /** @type {any} */ (registration).periodicSync;
+		if (!periodicSync) return;
+
+		if (enabled) {
+			await periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: CHECK_INTERVAL_MS });
+		} else {
+			await periodicSync.unregister(PERIODIC_SYNC_TAG);
+		}
+	} catch (e) {
+		// Permission for periodic sync is granted by the browser based on engagement
+		console.warn('Periodic expiry check not available:', e);
+	}
+}
+
+/**
+ * Ask the service worker to check expiry dates now (it applies quiet hours and de-duplication)
+ * @param {{ test?: boolean }} [options] - test: notify even if already sent today
+ * @returns {Promise<void>}
+ */
+export async function requestExpiryCheck(options = {}) {
+	if (!isNotificationSupported() || Notification.permission !== 'granted') return;
+
+	// No registration in dev mode; the service worker is only built for production
+	const registration = await navigator.serviceWorker.getRegistration();
+	registration?.active?.postMessage({ type: 'check-expiry', test: !!options.test });
+}
@@ -1,29 +1,105 @@
 // @ts-check
 import { base } from '$app/paths';
+import { goto } from '$app/navigation';
 
 // Read PUBLIC_API_URL from Vite environment at build time (optional)
 const PUBLIC_API_URL = typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.PUBLIC_API_URL
 	? String(import.meta.env.PUBLIC_API_URL)
 	: '';
 
+// If a PUBLIC_API_URL is set at build time, use it as the API base.
+// This is required when the frontend is deployed to a static host (GitHub Pages)
+// and the server proxy runs on a separate host (e.g. Vercel/Render).
+export const API_BASE = PUBLIC_API_URL && PUBLIC_API_URL.trim() !== ''
+	? PUBLIC_API_URL.replace(/\/$/, '')
+	: base;
+
+/**
+ * Send the user to the login page, coming back to the current page afterwards
+ */
+export function redirectToLogin() {
+	if (typeof window === 'undefined') return;
+	const loginPath = `${base}/login`;
+	if (window.location.pathname === loginPath) return;
+
+	const here = window.location.pathname + window.location.search;
+	goto(`${loginPath}?redirect=${encodeURIComponent(here)}`);
+}
+
 /**
  * @typedef {Object} OdooClient
  * @property {(model: string, fields: Record<string, any>) => Promise<number>} createRecord
- * @property {(model: string, domain?: any[], fields?: string[]) => Promise<any[]>} searchRecords
+ * @property {(model: string, domain?: any[], fields?: string[], options?: SearchOptions) => Promise<any[]>} searchRecords
+ * @property {(model: string, domain?: any[]) => Promise<number>} countRecords
+ * @property {(model: string) => Promise<Record<string, Record<string, any>>>} getFields
  * @property {(model: string, id: number, values: Record<string, any>) => Promise<boolean>} updateRecord
  * @property {(model: string, id: number) => Promise<boolean>} deleteRecord
+ * @property {(operations: BatchOperation[]) => Promise<Record<string, any>[]>} batch
+ */
+
+/**
+ * Paging of a search; without a limit every matching record is returned
+ * @typedef {Object} SearchOptions
+ * @property {number} [limit] - At most this many records (the server allows up to 2000)
+ * @property {number} [offset] - Skip this many records
+ * @property {string} [order] - Odoo order clause, e.g. 'x_name asc, id desc'
+ */
+
+/**
+ * One action of a batch. Anywhere in data, { $ref: n } stands for the id created by
+ * operation n and { $ref: n, key: 'write_date' } for another key of its result.
+ * @typedef {Object} BatchOperation
+ * @property {string} action - Proxy action ('create', 'search', 'update', ...)
+ * @property {Record<string, any>} data - Same payload as the single call
  */
 
+/**
+ * Error returned by the server proxy, with a machine-readable code and the raw
+ * response payload as details. Codes:
+ * - unauthorized: no session, the user has to log in
+ * - forbidden: refused by the proxy policy
+ * - conflict, missing: the record changed or is gone
+ * - access_denied, validation: Odoo refused the call
+ * - unavailable, timeout, odoo_auth: the server cannot talk to Odoo right now
+ */
+export class OdooApiError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {string} [code]
+	 * @param {any} [details]
+	 */
+	constructor(message, code = 'error', details = null) {
+		super(message);
+		this.name = 'OdooApiError';
+		this.code = code;
+		this.details = details;
+	}
+}
+
+/**
+ * Message to show the user for a failed call
+ * @param {any} error
+ * @returns {string}
+ */
+export function describeError(error) {
+	switch (error?.code) {
+		case 'unavailable':
+		case 'timeout':
+			return 'Odoo is not reachable right now. Changes are kept and sent later.';
+		case 'odoo_auth':
+			return 'The server cannot log in to Odoo. Ask whoever set up the app to check the API key.';
+		case 'access_denied':
+			return `Odoo refused access: ${error.message}`;
+		case 'validation':
+			return `Odoo rejected the values: ${error.message}`;
+		default:
+			return error?.message || 'Unknown error';
+	}
+}
+
 class OdooAPI {
 	constructor() {
-		// If a PUBLIC_API_URL is set at build time, use it as the API base.
-		// This is required when the frontend is deployed to a static host (GitHub Pages)
-		// and the server proxy runs on a separate host (e.g. Vercel/Render).
-		if (PUBLIC_API_URL && PUBLIC_API_URL.trim() !== '') {
-			this.apiUrl = `${PUBLIC_API_URL.replace(/\/$/, '')}/api/odoo`;
-		} else {
-			this.apiUrl = `${base}/api/odoo`;
-		}
+		this.apiUrl = `${API_BASE}/api/odoo`;
 	}
 
 	/**
@@ -38,13 +114,26 @@ class OdooAPI {
 			headers: {
 				'Content-Type': 'application/json'
 			},
+			// Send the session cookie along when the API is on another host
+			credentials: 'include',
 			body: JSON.stringify({ action, data })
 		});
 
-		const result = await response.json();
+		if (response.status === 401) {
+			redirectToLogin();
+			throw new OdooApiError('Not logged in', 'unauthorized');
+		}
+
+		let result;
+		try {
+			result = await response.json();
+		} catch {
+			// e.g. an HTML error page from the hosting platform
+			throw new OdooApiError(`Server error (HTTP ${response.status})`, 'unavailable');
+		}
 
 		if (!result.success) {
-			throw new Error(result.error || 'API Error');
+			throw new OdooApiError(result.error || 'API Error', result.code, result);
 		}
 
 		return result;
@@ -66,13 +155,35 @@ class OdooAPI {
 	 * @param {string} model - Odoo model name
 	 * @param {any[]} domain - Odoo domain filter
 	 * @param {string[]} fields - Fields to retrieve
+	 * @param {SearchOptions} [options] - Limit, offset and order
 	 * @returns {Promise<any[]>} - Array of records
 	 */
-	async searchRecords(model, domain = [], fields = []) {
-		const result = await this.callApi('search', { model, domain, fields });
+	async searchRecords(model, domain = [], fields = [], options = {}) {
+		const result = await this.callApi('search', { model, domain, fields, ...options });
 		return result.results;
 	}
 
+	/**
+	 * Count matching records (search_count)
+	 * @param {string} model - Odoo model name
+	 * @param {any[]} domain - Odoo domain filter
+	 * @returns {Promise<number>}
+	 */
+	async countRecords(model, domain = []) {
+		const result = await this.callApi('count', { model, domain });
+		return result.count;
+	}
+
+	/**
+	 * Field metadata (fields_get), limited by the proxy to what the app can use
+	 * @param {string} model - Odoo model name (only the primary model is allowed)
+	 * @returns {Promise<Record<string, Record<string, any>>>}
+	 */
+	async getFields(model) {
+		const result = await this.callApi('fields_get', { model });
+		return result.fields;
+	}
+
 	/**
 	 * Generic search_read for any model (alias for searchRecords)
 	 * @param {string} model
@@ -142,6 +253,17 @@ class OdooAPI {
 		const result = await this.callApi('delete', { model, id });
 		return result.result;
 	}
+
+	/**
+	 * Run several actions in one round trip. The server runs them in order and
+	 * stops at the first failure; every later operation comes back with code 'skipped'.
+	 * @param {BatchOperation[]} operations
+	 * @returns {Promise<Record<string, any>[]>} - Per-operation payloads ({ success, ... } as for single calls)
+	 */
+	async batch(operations) {
+		const result = await this.callApi('batch', { operations });
+		return result.results;
+	}
 }
 
 export const odooClient = new OdooAPI();
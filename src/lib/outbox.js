@@ -0,0 +1,512 @@
+// @ts-check
+
+/**
+ * Persistent Outbox for Offline Mutations
+ *
+ * Every create/update/delete is written to the IndexedDB outbox first and then
+ * replayed against /api/odoo in insertion order once we are online, in batches
+ * of up to BATCH_SIZE entries per request. Records
+ * created offline carry a temp id (see generateTempId) until their create has
+ * been replayed; the real Odoo id is then written into every queued follow-up
+ * and remembered in the config store, so a temp id still held somewhere (a URL,
+ * an undo) finds its record after a reload too. Each entry also carries a
+ * unique key, and the keys of entries the server has handled are logged, so a
+ * restored backup can tell which of its queued changes were already sent.
+ */
+
+import { STORES, add, get, getAll, remove } from '$lib/db';
+import { odooClient, OdooApiError } from '$lib/odoo';
+import { isTempId } from '$lib/inventoryUtils';
+import { SETTINGS, loadSetting, saveSetting } from '$lib/settings';
+
+// Entries that keep failing on the server are dropped after this many attempts
+const MAX_ATTEMPTS = 5;
+
+// Failures that say nothing about the entry itself (see OdooApiError)
+const TRANSIENT_CODES = ['unauthorized', 'unavailable', 'timeout', 'odoo_auth'];
+
+// Failures that will repeat no matter how often the entry is sent
+const PERMANENT_CODES = ['missing', 'forbidden', 'access_denied', 'validation'];
+
+// Entries sent per /api/odoo batch request
+const BATCH_SIZE = 50;
+
+// Resolved temp ids kept across reloads; the oldest are forgotten beyond this
+const MAX_RESOLVED_IDS = 1000;
+
+// Keys of handled entries kept for restores; the oldest are forgotten beyond this
+const MAX_SENT_KEYS = 1000;
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {number} [seq] - Auto-increment key, defines the replay order
+ * @property {string} [key] - Unique id of the change, also in backups (older entries have none)
+ * @property {'create'|'update'|'adjust'|'delete'} action
+ * @property {string} model - Odoo model name
+ * @property {number|string} recordId - Odoo id, or temp id for offline-created rows
+ * @property {Record<string, any>} [values] - Field values for create/update, field deltas for adjust
+ * @property {string} [expectedWriteDate] - For update: only apply if the server record still has this write_date
+ * @property {number} createdAt
+ * @property {number} attempts
+ * @property {string} [lastError]
+ */
+
+/**
+ * @typedef {{ type: 'created', entry: OutboxEntry, id: number, writeDate?: string }
+ *   | { type: 'applied', entry: OutboxEntry, result: Record<string, any> }
+ *   | { type: 'conflict', entry: OutboxEntry, current: Record<string, any> }
+ *   | { type: 'failed', entry: OutboxEntry, error: Error }} OutboxEvent
+ */
+
+/** @type {Set<(event: OutboxEvent) => void|Promise<void>>} */
+const listeners = new Set();
+
+/**
+ * Temp ids that have already been replaced by a real Odoo id
+ * @type {Map<string, number>}
+ */
+const resolvedIds = new Map();
+
+/** @type {Promise<{ applied: number, remaining: number }>|null} */
+let flushing = null;
+
+// Set when flush() is called during a run, so entries queued meanwhile aren't left behind
+let flushAgain = false;
+
+/**
+ * Resolve a temp id to its Odoo id if its create has been replayed already
+ * @param {number|string} id
+ * @returns {number|string}
+ */
+export function resolveId(id) {
+	return isTempId(id) ? resolvedIds.get(String(id)) ?? id : id;
+}
+
+/**
+ * Load the temp ids resolved in earlier sessions
+ * @returns {Promise<void>}
+ */
+export async function loadResolvedIds() {
+	const saved = await loadSetting(SETTINGS.RESOLVED_IDS, {});
+	for (const [tempId, id] of Object.entries(saved)) {
+		if (!resolvedIds.has(tempId)) {
+			resolvedIds.set(tempId, id);
+		}
+	}
+}
+
+/**
+ * Resolve an id like resolveId, also with the temp ids resolved in earlier sessions
+ * @param {number|string} id
+ * @returns {Promise<number|string>}
+ */
+export async function resolveSavedId(id) {
+	if (isTempId(id) && !resolvedIds.has(String(id))) {
+		await loadResolvedIds();
+	}
+	return resolveId(id);
+}
+
+/**
+ * Replace a temp id wherever it appears in an entry (record id and field values)
+ * @param {OutboxEntry} entry
+ * @param {string} tempId
+ * @param {number} id
+ * @returns {OutboxEntry|null} - Rewritten copy, or null when the entry does not reference the temp id
+ */
+function rewriteEntry(entry, tempId, id) {
+	let changed = false;
+	const copy = { ...entry };
+
+	if (copy.recordId === tempId) {
+		copy.recordId = id;
+		changed = true;
+	}
+
+	if (copy.values) {
+		copy.values = { ...copy.values };
+		for (const [field, value] of Object.entries(copy.values)) {
+			if (value === tempId) {
+				copy.values[field] = id;
+				changed = true;
+			}
+		}
+	}
+
+	return changed ? copy : null;
+}
+
+/**
+ * Subscribe to replay results. Async listeners are awaited before replay goes on,
+ * so they see the entries in order and are done before the next batch is sent.
+ * @param {(event: OutboxEvent) => void|Promise<void>} listener
+ * @returns {() => void} - Unsubscribe function
+ */
+export function addOutboxListener(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
+
+/**
+ * @param {OutboxEvent} event
+ * @returns {Promise<void>}
+ */
+async function notify(event) {
+	for (const listener of listeners) {
+		try {
+			await listener(event);
+		} catch (e) {
+			console.warn('Outbox listener failed:', e);
+		}
+	}
+}
+
+/**
+ * Queue a mutation for replay
+ * @param {Pick<OutboxEntry, 'action'|'model'|'recordId'|'values'|'expectedWriteDate'>} entry
+ * @returns {Promise<void>}
+ */
+export async function enqueue({ action, model, recordId, values, expectedWriteDate }) {
+	/** @type {OutboxEntry} */
+	let entry = {
+		key: `${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+		action,
+		model,
+		recordId,
+		values,
+		expectedWriteDate,
+		createdAt: Date.now(),
+		attempts: 0
+	};
+
+	// The create may have been replayed while the caller still held the temp id
+	for (const [tempId, id] of resolvedIds) {
+		entry = rewriteEntry(entry, tempId, id) || entry;
+	}
+
+	await add(STORES.OUTBOX, entry);
+}
+
+/**
+ * Keys of the entries the server has handled (applied, refused or given up on)
+ * @returns {Promise<Set<string>>}
+ */
+export async function getSentKeys() {
+	return new Set(await loadSetting(SETTINGS.SENT_OUTBOX_KEYS, []));
+}
+
+/**
+ * Add keys to the log of handled entries
+ * @param {string[]} keys
+ * @returns {Promise<void>}
+ */
+export async function rememberSentKeys(keys) {
+	const known = await getSentKeys();
+	const added = keys.filter((key) => key && !known.has(key));
+	if (added.length === 0) return;
+	await saveSetting(SETTINGS.SENT_OUTBOX_KEYS, [...known, ...added].slice(-MAX_SENT_KEYS));
+}
+
+/**
+ * Take an entry the server has seen out of the queue, for good
+ * @param {OutboxEntry} entry
+ */
+async function settle(entry) {
+	await remove(STORES.OUTBOX, entry.seq);
+	if (!entry.key) return;
+	try {
+		await rememberSentKeys([entry.key]);
+	} catch (e) {
+		console.warn('Failed to log sent outbox entry:', e);
+	}
+}
+
+/**
+ * Get all pending entries in replay order
+ * @returns {Promise<OutboxEntry[]>}
+ */
+export async function getPending() {
+	return getAll(STORES.OUTBOX);
+}
+
+/**
+ * Drop every queued entry for a record that never reached the server.
+ * Used when an offline-created row is deleted before its create was replayed.
+ * Entries of other records that link to it (e.g. a shopping list entry) lose the link.
+ * @param {string} tempId
+ * @returns {Promise<void>}
+ */
+export async function discardRecord(tempId) {
+	const pending = await getPending();
+	for (const entry of pending) {
+		if (entry.recordId === tempId) {
+			await remove(STORES.OUTBOX, entry.seq);
+			continue;
+		}
+
+		const values = entry.values || {};
+		if (Object.values(values).includes(tempId)) {
+			const unlinked = Object.entries(values).map(([field, value]) => [field, value === tempId ? false : value]);
+			await add(STORES.OUTBOX, { ...entry, values: Object.fromEntries(unlinked) });
+		}
+	}
+}
+
+/**
+ * Whether an error means the server could not be reached (as opposed to a rejected call)
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+	if (typeof navigator !== 'undefined' && !navigator.onLine) return true;
+	return error instanceof TypeError;
+}
+
+/**
+ * Turn an entry into a batch operation. Temp ids created earlier in the same batch,
+ * and write dates produced by our own earlier updates, become { $ref } placeholders.
+ * @param {OutboxEntry} entry
+ * @param {Map<string, number>} createdAt - Temp id -> index of its create in the batch
+ * @param {Map<string, { index: number, expected: string }>} writtenAt - Record id -> its last
+ *   update in the batch, if that was checked against a write_date and nothing wrote the record since
+ * @returns {import('$lib/odoo').BatchOperation}
+ */
+function toOperation(entry, createdAt, writtenAt) {
+	const ref = (value) => createdAt.has(String(value)) ? { $ref: createdAt.get(String(value)) } : value;
+	const { model } = entry;
+	const id = ref(entry.recordId);
+	const values = Object.fromEntries(
+		Object.entries(entry.values || {}).map(([field, value]) => [field, ref(value)])
+	);
+
+	switch (entry.action) {
+		case 'create':
+			return { action: 'create', data: { model, fields: values } };
+		case 'update': {
+			const previous = writtenAt.get(String(entry.recordId));
+			let expected = entry.expectedWriteDate;
+			if (expected && previous?.expected === expected) {
+				expected = /** @type {any} */ ({ $ref: previous.index, key: 'write_date' });
+			}
+			return {
+				action: 'update',
+				data: expected ? { model, id, values, expected_write_date: expected } : { model, id, values }
+			};
+		}
+		case 'adjust': {
+			const [field, delta] = Object.entries(entry.values || {})[0];
+			return { action: 'adjust', data: { model, id, field, delta } };
+		}
+		case 'delete':
+			return { action: 'delete', data: { model, id } };
+		default:
+			throw new Error(`Unknown outbox action: ${entry.action}`);
+	}
+}
+
+/**
+ * Take the next entries to send, dropping follow-ups of creates that no longer exist
+ * @returns {Promise<{ entries: OutboxEntry[], operations: import('$lib/odoo').BatchOperation[] }>}
+ */
+async function nextBatch() {
+	const entries = [];
+	const operations = [];
+	const createdAt = new Map();
+	const writtenAt = new Map();
+
+	for (const entry of await getPending()) {
+		if (entries.length >= BATCH_SIZE) break;
+
+		if (entry.action !== 'create' && isTempId(entry.recordId) && !createdAt.has(entry.recordId)) {
+			// Its create was dropped, nothing on the server to change
+			await remove(STORES.OUTBOX, entry.seq);
+			continue;
+		}
+
+		const index = operations.length;
+		operations.push(toOperation(entry, createdAt, writtenAt));
+		entries.push(entry);
+
+		if (entry.action === 'create') {
+			createdAt.set(String(entry.recordId), index);
+		}
+		// Only an update checked against the same version can take over the write_date
+		// of the one before; anything else may also carry edits made elsewhere
+		if (entry.action === 'update' && entry.expectedWriteDate) {
+			writtenAt.set(String(entry.recordId), { index, expected: entry.expectedWriteDate });
+		} else {
+			writtenAt.delete(String(entry.recordId));
+		}
+	}
+
+	return { entries, operations };
+}
+
+/**
+ * Record a successful create: remember the id mapping and rewrite queued follow-ups
+ * @param {string} tempId
+ * @param {number} id
+ */
+async function resolveTempId(tempId, id) {
+	resolvedIds.set(tempId, id);
+	try {
+		await saveSetting(SETTINGS.RESOLVED_IDS, Object.fromEntries([...resolvedIds].slice(-MAX_RESOLVED_IDS)));
+	} catch (e) {
+		console.warn('Failed to save resolved ids:', e);
+	}
+
+	const pending = await getPending();
+	for (const entry of pending) {
+		const rewritten = rewriteEntry(entry, tempId, id);
+		if (rewritten) {
+			await add(STORES.OUTBOX, rewritten);
+		}
+	}
+}
+
+/**
+ * Our own checked update moved the record's write_date forward; queued updates based
+ * on the same version must not be mistaken for conflicts. Adjusts don't count: they
+ * are applied unchecked, so their write_date may cover an edit made elsewhere.
+ * @param {number|string} recordId
+ * @param {string} expected - write_date the applied update was checked against
+ * @param {string} writeDate
+ */
+async function advanceWriteDate(recordId, expected, writeDate) {
+	const pending = await getPending();
+	for (const entry of pending) {
+		if (entry.recordId === recordId && entry.expectedWriteDate === expected) {
+			await add(STORES.OUTBOX, { ...entry, expectedWriteDate: writeDate });
+		}
+	}
+}
+
+/**
+ * Record a replayed entry and let listeners update their copy of the record
+ * @param {OutboxEntry} entry
+ * @param {Record<string, any>} result - Server payload of the operation
+ */
+async function applyResult(entry, result) {
+	await settle(entry);
+
+	if (entry.action === 'create') {
+		const tempId = String(entry.recordId);
+		await resolveTempId(tempId, result.id);
+		await notify({ type: 'created', entry, id: result.id, writeDate: result.write_date });
+		return;
+	}
+
+	// The entry was queued under a temp id its create (earlier in the batch) has now replaced
+	const applied = { ...entry, recordId: resolveId(entry.recordId) };
+	if (entry.action === 'update' && entry.expectedWriteDate && result.write_date) {
+		await advanceWriteDate(applied.recordId, entry.expectedWriteDate, result.write_date);
+	}
+	await notify({ type: 'applied', entry: applied, result });
+}
+
+/**
+ * Deal with an entry the server did not apply
+ * @param {OutboxEntry} entry
+ * @param {any} error
+ * @returns {Promise<boolean>} - Whether replay can go on with the next entry
+ */
+async function handleFailure(entry, error) {
+	if (isNetworkError(error)) {
+		// Still offline - keep this and everything after it for the next flush
+		return false;
+	}
+
+	if (error instanceof OdooApiError && TRANSIENT_CODES.includes(error.code)) {
+		// Logged out, or the server can't reach Odoo - not this entry's fault, so
+		// keep the queue as it is without counting an attempt
+		return false;
+	}
+
+	if (error instanceof OdooApiError && error.code === 'conflict') {
+		// Someone else changed the record first - let the user decide
+		await settle(entry);
+		await notify({ type: 'conflict', entry, current: error.details.current });
+		return true;
+	}
+
+	if (error instanceof OdooApiError && PERMANENT_CODES.includes(error.code)) {
+		// Deleted on the server, or refused by the proxy policy or by Odoo - retrying can't help
+		await settle(entry);
+		await notify({ type: 'failed', entry, error });
+		return true;
+	}
+
+	const attempts = entry.attempts + 1;
+	if (attempts >= MAX_ATTEMPTS) {
+		console.error('Dropping outbox entry after repeated failures:', entry, error);
+		await settle(entry);
+		await notify({ type: 'failed', entry, error });
+		return true;
+	}
+
+	await add(STORES.OUTBOX, { ...entry, attempts, lastError: error.message });
+	// Keep ordering: later entries may depend on this one
+	return false;
+}
+
+async function runFlush() {
+	let applied = 0;
+	let proceed = true;
+
+	while (proceed) {
+		// Re-read every round: replays may have rewritten ids or write dates
+		const { entries, operations } = await nextBatch();
+		if (entries.length === 0) break;
+
+		let results;
+		try {
+			results = await odooClient.batch(operations);
+		} catch (error) {
+			// The request as a whole failed; count it against the first entry
+			proceed = await handleFailure(entries[0], error);
+			continue;
+		}
+
+		for (let i = 0; i < entries.length; i++) {
+			const result = results[i];
+			if (result?.success) {
+				await applyResult(entries[i], result);
+				applied++;
+				continue;
+			}
+
+			// The server stops at the first failure; skipped entries go out with the next batch
+			if (result?.code !== 'skipped') {
+				const error = new OdooApiError(result?.error || 'API Error', result?.code, result);
+				proceed = await handleFailure(entries[i], error);
+			}
+			break;
+		}
+	}
+
+	const remaining = (await getPending()).length;
+	return { applied, remaining };
+}
+
+/**
+ * Replay pending entries in order. Concurrent calls share the same run.
+ * @returns {Promise<{ applied: number, remaining: number }>}
+ */
+export function flush() {
+	if (flushing) {
+		flushAgain = true;
+		return flushing;
+	}
+
+	flushing = (async () => {
+		let result;
+		do {
+			flushAgain = false;
+			result = await runFlush();
+		} while (flushAgain);
+		return result;
+	})().finally(() => {
+		flushing = null;
+	});
+	return flushing;
+}
@@ -0,0 +1,275 @@
+// @ts-check
+
+/**
+ * Waste and Consumption Reports
+ *
+ * Pure functions over the stock movement log (see movements.js). Products are
+ * grouped by name, so several batches of "Milk" count as one product, and
+ * money values use the unit price each movement recorded at the time.
+ */
+
+import { parseOdooDatetime, parseDateOnly } from '$lib/inventoryUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * @typedef {'week'|'month'} ReportPeriod
+ */
+
+/**
+ * @typedef {Object} PeriodTotal
+ * @property {string} key - Start of the period ('YYYY-MM-DD' for weeks, 'YYYY-MM' for months)
+ * @property {string} label
+ * @property {number} units
+ * @property {number} value - Units times their unit price
+ */
+
+/**
+ * @typedef {Object} ProductTotal
+ * @property {string} name
+ * @property {number} units
+ * @property {number} value
+ */
+
+/**
+ * @typedef {Object} ConsumptionRate
+ * @property {string} name
+ * @property {number} consumed - Units used up
+ * @property {number} perWeek - Since the product's first movement, at least one week
+ */
+
+/**
+ * @param {import('$lib/movements').Movement} movement
+ */
+function productKey(movement) {
+	return movement.x_name.trim().toLowerCase();
+}
+
+/**
+ * @param {import('$lib/movements').Movement} movement
+ */
+function unitsOut(movement) {
+	return Math.max(0, -(Number(movement.x_studio_delta) || 0));
+}
+
+/**
+ * @param {import('$lib/movements').Movement} movement
+ */
+function valueOut(movement) {
+	return unitsOut(movement) * (Number(movement.x_studio_unit_price) || 0);
+}
+
+/**
+ * Local midnight of the day a movement happened
+ * @param {import('$lib/movements').Movement} movement
+ * @returns {Date}
+ */
+function movedOn(movement) {
+	const date = parseOdooDatetime(movement.x_studio_moved_at);
+	date.setHours(0, 0, 0, 0);
+	return date;
+}
+
+/**
+ * Whether a movement threw units away because they had expired
+ * @param {import('$lib/movements').Movement} movement
+ * @returns {boolean}
+ */
+export function isExpiryDiscard(movement) {
+	if (movement.x_studio_reason !== 'discarded' || !movement.x_studio_expiry_date) return false;
+	return parseDateOnly(movement.x_studio_expiry_date).getTime() <= movedOn(movement).getTime();
+}
+
+/**
+ * Monday of the week, or the first of the month, a date falls in
+ * @param {Date} date
+ * @param {ReportPeriod} period
+ * @returns {Date}
+ */
+function periodStart(date, period) {
+	const start = new Date(date.getFullYear(), date.getMonth(), period === 'month' ? 1 : date.getDate());
+	if (period === 'week') {
+		start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+	}
+	return start;
+}
+
+/**
+ * @param {Date} start
+ * @param {ReportPeriod} period
+ */
+function periodKey(start, period) {
+	const pad = (n) => String(n).padStart(2, '0');
+	const month = `${start.getFullYear()}-${pad(start.getMonth() + 1)}`;
+	return period === 'month' ? month : `${month}-${pad(start.getDate())}`;
+}
+
+/**
+ * @param {Date} start
+ * @param {ReportPeriod} period
+ */
+function periodLabel(start, period) {
+	return period === 'month'
+		? start.toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
+		: start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Units thrown away after expiry in each of the last `count` weeks or months,
+ * oldest first and including periods without waste
+ * @param {import('$lib/movements').Movement[]} movements
+ * @param {ReportPeriod} period
+ * @param {number} [count]
+ * @param {Date} [now]
+ * @returns {PeriodTotal[]}
+ */
+export function expiryWasteByPeriod(movements, period, count = 12, now = new Date()) {
+	/** @type {PeriodTotal[]} */
+	const totals = [];
+	const current = periodStart(now, period);
+
+	for (let i = count - 1; i >= 0; i--) {
+		const start = new Date(current);
+		if (period === 'month') {
+			start.setMonth(start.getMonth() - i);
+		} else {
+			start.setDate(start.getDate() - 7 * i);
+		}
+		totals.push({ key: periodKey(start, period), label: periodLabel(start, period), units: 0, value: 0 });
+	}
+
+	const byKey = new Map(totals.map(total => [total.key, total]));
+	for (const movement of movements.filter(isExpiryDiscard)) {
+		const total = byKey.get(periodKey(periodStart(movedOn(movement), period), period));
+		if (total) {
+			total.units += unitsOut(movement);
+			total.value += valueOut(movement);
+		}
+	}
+	return totals;
+}
+
+/**
+ * Products with the most units thrown away, for any reason
+ * @param {import('$lib/movements').Movement[]} movements
+ * @param {number} [limit]
+ * @returns {ProductTotal[]}
+ */
+export function mostWasted(movements, limit = 10) {
+	/** @type {Map<string, ProductTotal>} */
+	const products = new Map();
+
+	for (const movement of movements) {
+		if (movement.x_studio_reason !== 'discarded') continue;
+		const key = productKey(movement);
+		const product = products.get(key) || { name: movement.x_name, units: 0, value: 0 };
+		product.units += unitsOut(movement);
+		product.value += valueOut(movement);
+		products.set(key, product);
+	}
+
+	return [...products.values()]
+		.filter(product => product.units > 0)
+		.sort((a, b) => b.units - a.units || b.value - a.value)
+		.slice(0, limit);
+}
+
+/**
+ * Units and value thrown away, in total and because of expiry
+ * @param {import('$lib/movements').Movement[]} movements
+ * @returns {{ units: number, value: number, expiredUnits: number, expiredValue: number }}
+ */
+export function wasteTotals(movements) {
+	const totals = { units: 0, value: 0, expiredUnits: 0, expiredValue: 0 };
+
+	for (const movement of movements) {
+		if (movement.x_studio_reason !== 'discarded') continue;
+		totals.units += unitsOut(movement);
+		totals.value += valueOut(movement);
+		if (isExpiryDiscard(movement)) {
+			totals.expiredUnits += unitsOut(movement);
+			totals.expiredValue += valueOut(movement);
+		}
+	}
+	return totals;
+}
+
+/**
+ * Average days a unit stays in stock, from restocking until it is consumed or
+ * discarded. Units leave in the order they came in; corrections adjust the
+ * stock without counting as a stay.
+ * @param {import('$lib/movements').Movement[]} movements
+ * @returns {number|null} - null when no unit has left yet
+ */
+export function averageShelfDays(movements) {
+	const chronological = [...movements].sort((a, b) => a.x_studio_moved_at.localeCompare(b.x_studio_moved_at));
+	/** @type {Map<string, Array<{ time: number, units: number }>>} */
+	const stock = new Map();
+	let totalDays = 0;
+	let totalUnits = 0;
+
+	for (const movement of chronological) {
+		const key = productKey(movement);
+		const lots = stock.get(key) || [];
+		stock.set(key, lots);
+
+		const time = parseOdooDatetime(movement.x_studio_moved_at).getTime();
+		const delta = Number(movement.x_studio_delta) || 0;
+		if (delta > 0) {
+			lots.push({ time, units: delta });
+			continue;
+		}
+
+		const counted = movement.x_studio_reason === 'consumed' || movement.x_studio_reason === 'discarded';
+		let remaining = -delta;
+		while (remaining > 0 && lots.length > 0) {
+			const taken = Math.min(remaining, lots[0].units);
+			if (counted) {
+				totalDays += (taken * (time - lots[0].time)) / DAY_MS;
+				totalUnits += taken;
+			}
+			lots[0].units -= taken;
+			remaining -= taken;
+			if (lots[0].units === 0) lots.shift();
+		}
+	}
+
+	return totalUnits > 0 ? Math.round((totalDays / totalUnits) * 10) / 10 : null;
+}
+
+/**
+ * Units used up per week for each product, fastest first
+ * @param {import('$lib/movements').Movement[]} movements
+ * @param {number} [limit]
+ * @param {Date} [now]
+ * @returns {ConsumptionRate[]}
+ */
+export function consumptionRates(movements, limit = 10, now = new Date()) {
+	/** @type {Map<string, { name: string, consumed: number, since: number }>} */
+	const products = new Map();
+
+	for (const movement of movements) {
+		const key = productKey(movement);
+		const time = parseOdooDatetime(movement.x_studio_moved_at).getTime();
+		const product = products.get(key) || { name: movement.x_name, consumed: 0, since: time };
+		product.since = Math.min(product.since, time);
+		if (movement.x_studio_reason === 'consumed') {
+			product.consumed += unitsOut(movement);
+		}
+		products.set(key, product);
+	}
+
+	return [...products.values()]
+		.filter(product => product.consumed > 0)
+		.map(product => {
+			const weeks = Math.max(1, (now.getTime() - product.since) / WEEK_MS);
+			return {
+				name: product.name,
+				consumed: product.consumed,
+				perWeek: Math.round((product.consumed / weeks) * 10) / 10
+			};
+		})
+		.sort((a, b) => b.perWeek - a.perWeek)
+		.slice(0, limit);
+}
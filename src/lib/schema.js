@@ -0,0 +1,317 @@
+// @ts-check
+
+/**
+ * Field Schema of the Inventory Model
+ *
+ * Describes the inventory model's fields the way Odoo's fields_get does, so
+ * forms, list details and the synced field list follow the model instead of
+ * being written out by hand. A field added in Odoo Studio shows up once the
+ * schema is fetched again; DEFAULT_FIELDS is used until then (and by the local
+ * backend, which has no schema of its own).
+ *
+ * Form values are kept as strings (booleans as booleans) while editing and
+ * converted to Odoo values with formToValues.
+ */
+
+import {
+	formatCurrency,
+	formatDate,
+	many2oneId,
+	parseOdooDatetime,
+	toOdooDatetime
+} from '$lib/inventoryUtils';
+
+/**
+ * @typedef {'char'|'text'|'integer'|'float'|'monetary'|'date'|'datetime'|'boolean'|'selection'|'many2one'} FieldType
+ */
+
+/**
+ * @typedef {Object} FieldInfo
+ * @property {string} name
+ * @property {FieldType} type
+ * @property {string} string - Label
+ * @property {boolean} [required]
+ * @property {boolean} [readonly]
+ * @property {string} [help]
+ * @property {[string, string][]} [selection] - [value, label] pairs of a selection field
+ * @property {string} [relation] - Target model of a many2one field
+ */
+
+/**
+ * @typedef {Record<string, FieldInfo>} Schema
+ */
+
+// Field types the app has a widget for; fields of other types are left out of the schema
+export const FIELD_TYPES = ['char', 'text', 'integer', 'float', 'monetary', 'date', 'datetime', 'boolean', 'selection', 'many2one'];
+
+// Attributes asked from fields_get
+export const FIELD_ATTRIBUTES = ['type', 'string', 'required', 'readonly', 'help', 'selection', 'relation'];
+
+/**
+ * The fields the app was built around, in form order
+ * @type {Schema}
+ */
+export const DEFAULT_FIELDS = {
+	x_name: { name: 'x_name', type: 'char', string: 'Name', required: true },
+	x_studio_items_count: { name: 'x_studio_items_count', type: 'integer', string: 'Items Count' },
+	x_studio_min_quantity: {
+		name: 'x_studio_min_quantity',
+		type: 'integer',
+		string: 'Minimum Quantity',
+		help: 'Shopping list below this'
+	},
+	x_studio_unit_price: { name: 'x_studio_unit_price', type: 'float', string: 'Unit Price', help: 'Price of one item' },
+	x_studio_expiry_date: { name: 'x_studio_expiry_date', type: 'date', string: 'Expiry Date' },
+	x_studio_location: { name: 'x_studio_location', type: 'many2one', string: 'Location', relation: 'x_location' },
+	x_studio_category: { name: 'x_studio_category', type: 'many2one', string: 'Category', relation: 'x_category' },
+	x_studio_barcode: { name: 'x_studio_barcode', type: 'char', string: 'Barcode', help: 'Scan or type EAN/UPC code' }
+};
+
+const DEFAULT_ORDER = Object.keys(DEFAULT_FIELDS);
+
+const NUMBER_TYPES = ['integer', 'float', 'monetary'];
+
+/**
+ * Bring a fields_get answer into schema form: supported types only, with names
+ * @param {Record<string, Record<string, any>>} fields - fields_get result
+ * @returns {Schema}
+ */
+export function normalizeSchema(fields) {
+	/** @type {Schema} */
+	const schema = {};
+	for (const [name, info] of Object.entries(fields || {})) {
+		if (!FIELD_TYPES.includes(info?.type)) continue;
+		schema[name] = {
+			name,
+			type: info.type,
+			string: info.string || name,
+			required: !!info.required,
+			readonly: !!info.readonly,
+			// Odoo rarely has help for Studio fields; the app's own hints fill in
+			...(info.help || DEFAULT_FIELDS[name]?.help ? { help: info.help || DEFAULT_FIELDS[name].help } : {}),
+			...(info.type === 'selection' ? { selection: Array.isArray(info.selection) ? info.selection : [] } : {}),
+			...(info.type === 'many2one' ? { relation: info.relation } : {})
+		};
+	}
+	return schema;
+}
+
+/**
+ * Fields in display order: the app's own fields first, then the rest by label
+ * @param {Schema} schema
+ * @returns {FieldInfo[]}
+ */
+export function orderedFields(schema) {
+	const rank = (name) => {
+		const index = DEFAULT_ORDER.indexOf(name);
+		return index === -1 ? DEFAULT_ORDER.length : index;
+	};
+	return Object.values(schema).sort(
+		(a, b) => rank(a.name) - rank(b.name) || a.string.localeCompare(b.string)
+	);
+}
+
+/**
+ * Fields a form can edit
+ * @param {Schema} schema
+ * @returns {FieldInfo[]}
+ */
+export function formFields(schema) {
+	return orderedFields(schema).filter((field) => !field.readonly);
+}
+
+/**
+ * Fields the app has no dedicated display for, e.g. ones added in Studio
+ * @param {Schema} schema
+ * @returns {FieldInfo[]}
+ */
+export function extraFields(schema) {
+	return orderedFields(schema).filter((field) => !(field.name in DEFAULT_FIELDS));
+}
+
+/**
+ * Field names to read when syncing records
+ * @param {Schema} schema
+ * @returns {string[]}
+ */
+export function syncFields(schema) {
+	return ['id', ...Object.keys(schema).filter((name) => name !== 'id' && name !== 'write_date'), 'write_date'];
+}
+
+/**
+ * Char and text fields, for the list page search
+ * @param {Schema} schema
+ * @returns {string[]}
+ */
+export function textFields(schema) {
+	return orderedFields(schema)
+		.filter((field) => field.type === 'char' || field.type === 'text')
+		.map((field) => field.name);
+}
+
+function pad(n) {
+	return String(n).padStart(2, '0');
+}
+
+/**
+ * Form value of one field of a record
+ * @param {FieldInfo} field
+ * @param {any} value - As read from Odoo
+ * @returns {string|boolean}
+ */
+function toFormValue(field, value) {
+	if (field.type === 'boolean') return !!value;
+	if (value === false || value === null || value === undefined) return '';
+
+	switch (field.type) {
+		case 'many2one': {
+			const id = many2oneId(value);
+			return id ? String(id) : '';
+		}
+		case 'datetime': {
+			// datetime-local inputs want local time without seconds
+			const date = parseOdooDatetime(value);
+			return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+		}
+		default:
+			return String(value);
+	}
+}
+
+/**
+ * Form values for a record (empty ones for a new record)
+ * @param {FieldInfo[]} fields
+ * @param {Record<string, any>} [record]
+ * @returns {Record<string, string|boolean>}
+ */
+export function recordToForm(fields, record = {}) {
+	return Object.fromEntries(fields.map((field) => [field.name, toFormValue(field, record[field.name])]));
+}
+
+function isEmpty(value) {
+	return value === '' || value === null || value === undefined || (typeof value === 'string' && !value.trim());
+}
+
+/**
+ * Check form values: required fields, numbers, dates and selection choices
+ * @param {FieldInfo[]} fields
+ * @param {Record<string, any>} form
+ * @returns {Record<string, string>} - Message per invalid field, empty when all is well
+ */
+export function validateForm(fields, form) {
+	/** @type {Record<string, string>} */
+	const errors = {};
+
+	for (const field of fields) {
+		const value = form[field.name];
+
+		if (field.type === 'boolean') continue;
+		if (isEmpty(value)) {
+			if (field.required) errors[field.name] = `${field.string} is required`;
+			continue;
+		}
+
+		const number = Number(value);
+		if (field.type === 'integer' && !Number.isInteger(number)) {
+			errors[field.name] = `${field.string} must be a whole number`;
+		} else if (NUMBER_TYPES.includes(field.type) && !Number.isFinite(number)) {
+			errors[field.name] = `${field.string} must be a number`;
+		} else if (field.type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+			errors[field.name] = `${field.string} must be a date`;
+		} else if (field.type === 'datetime' && Number.isNaN(new Date(value).getTime())) {
+			errors[field.name] = `${field.string} must be a date and time`;
+		} else if (field.type === 'selection' && !field.selection?.some(([key]) => key === value)) {
+			errors[field.name] = `${field.string} is not one of the choices`;
+		}
+	}
+
+	return errors;
+}
+
+/**
+ * Odoo value of one form value; false when empty
+ * @param {FieldInfo} field
+ * @param {any} value
+ */
+function toOdooValue(field, value) {
+	if (field.type === 'boolean') return !!value;
+	if (isEmpty(value)) return false;
+
+	switch (field.type) {
+		case 'integer':
+		case 'float':
+		case 'monetary':
+			return Number(value);
+		case 'many2one':
+			return Number(value);
+		case 'datetime':
+			return toOdooDatetime(new Date(value));
+		case 'char':
+			return String(value).trim();
+		default:
+			return String(value);
+	}
+}
+
+/**
+ * Turn validated form values into Odoo values
+ * @param {FieldInfo[]} fields
+ * @param {Record<string, any>} form
+ * @param {{ omitEmpty?: boolean }} [options] - omitEmpty leaves unset fields out,
+ *   so a create gets Odoo's defaults; an edit sends false to clear them
+ * @returns {Record<string, any>}
+ */
+export function formToValues(fields, form, { omitEmpty = false } = {}) {
+	/** @type {Record<string, any>} */
+	const values = {};
+	for (const field of fields) {
+		if (!(field.name in form)) continue;
+		const value = toOdooValue(field, form[field.name]);
+		if (omitEmpty && value === false) continue;
+		values[field.name] = value;
+	}
+	return values;
+}
+
+/**
+ * Odoo values of the fields a form changed compared to the record it was filled from
+ * @param {FieldInfo[]} fields
+ * @param {Record<string, any>} record
+ * @param {Record<string, any>} form
+ * @returns {Record<string, any>}
+ */
+export function changedValues(fields, record, form) {
+	const before = formToValues(fields, recordToForm(fields, record));
+	const after = formToValues(fields, form);
+	return Object.fromEntries(
+		Object.entries(after).filter(([name, value]) => value !== before[name])
+	);
+}
+
+/**
+ * A field's value as text for display
+ * @param {FieldInfo} field
+ * @param {any} value - As read from Odoo
+ * @param {(value: any) => string} [nameOf] - Display name of a many2one value
+ * @returns {string}
+ */
+export function formatFieldValue(field, value, nameOf) {
+	if (field.type === 'boolean') return value ? 'Yes' : 'No';
+	if (value === false || value === null || value === undefined || value === '') return '';
+
+	switch (field.type) {
+		case 'many2one':
+			if (nameOf) return nameOf(value);
+			return Array.isArray(value) ? String(value[1]) : `#${value}`;
+		case 'selection':
+			return field.selection?.find(([key]) => key === value)?.[1] || String(value);
+		case 'date':
+			return formatDate(value);
+		case 'datetime':
+			return parseOdooDatetime(value).toLocaleString();
+		case 'monetary':
+			return formatCurrency(Number(value));
+		default:
+			return String(value);
+	}
+}
@@ -0,0 +1,113 @@
+// @ts-check
+import { env } from '$env/dynamic/private';
+import { execute, loginUser } from '$lib/server/odoo';
+
+/**
+ * Household Member Login
+ *
+ * AUTH_PROVIDER selects where credentials are checked:
+ * - 'odoo'  (default) each member logs in with their own Odoo user
+ * - 'local' members are listed in AUTH_USERS as login:salt:hash entries
+ *           (PBKDF2-SHA256, 100000 iterations, hex encoded)
+ * - 'none'  no login at all (local development only)
+ */
+
+/** @typedef {import('$lib/server/session').SessionUser} SessionUser */
+
+const PROVIDER = env.AUTH_PROVIDER || 'odoo';
+const PBKDF2_ITERATIONS = 100000;
+
+export function isAuthEnabled() {
+	return PROVIDER !== 'none';
+}
+
+/**
+ * Parse AUTH_USERS ("alice:<salt>:<hash>,bob:<salt>:<hash>")
+ * @returns {Map<string, { salt: string, hash: string }>}
+ */
+function parseLocalUsers() {
+	const users = new Map();
+	for (const entry of (env.AUTH_USERS || '').split(',')) {
+		const [login, salt, hash] = entry.trim().split(':');
+		if (login && salt && hash) {
+			users.set(login, { salt, hash });
+		}
+	}
+	return users;
+}
+
+/**
+ * @param {string} password
+ * @param {string} salt
+ * @returns {Promise<string>} - Hex encoded 256-bit hash
+ */
+async function hashPassword(password, salt) {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+	const bits = await crypto.subtle.deriveBits(
+		{ name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PBKDF2_ITERATIONS },
+		key,
+		256
+	);
+	return [...new Uint8Array(bits)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare without returning early on the first difference
+ * @param {string} a
+ * @param {string} b
+ */
+function safeEqual(a, b) {
+	let diff = a.length ^ b.length;
+	for (let i = 0; i < Math.min(a.length, b.length); i++) {
+		diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+	}
+	return diff === 0;
+}
+
+/**
+ * @param {string} login
+ * @param {string} password
+ * @returns {Promise<SessionUser|null>}
+ */
+async function checkLocalUser(login, password) {
+	const user = parseLocalUsers().get(login);
+	if (!user) return null;
+
+	const hash = await hashPassword(password, user.salt);
+	if (!safeEqual(hash, user.hash.toLowerCase())) return null;
+
+	return { login, name: login, uid: null };
+}
+
+/**
+ * @param {string} login
+ * @param {string} password
+ * @returns {Promise<SessionUser|null>}
+ */
+async function checkOdooUser(login, password) {
+	const uid = await loginUser(login, password);
+	if (!uid) return null;
+
+	const [user] = await execute('res.users', 'read', [[uid], ['name']]);
+	return { login, name: user?.name || login, uid };
+}
+
+/**
+ * Check a member's credentials against the configured provider
+ * @param {string} login
+ * @param {string} password
+ * @returns {Promise<SessionUser|null>} - null when the credentials are wrong
+ */
+export async function authenticateUser(login, password) {
+	if (!login || !password) return null;
+
+	switch (PROVIDER) {
+		case 'local':
+			return checkLocalUser(login, password);
+		case 'odoo':
+			return checkOdooUser(login, password);
+		default:
+			throw new Error(`Unknown AUTH_PROVIDER ${PROVIDER}`);
+	}
+}
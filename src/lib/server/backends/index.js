@@ -0,0 +1,52 @@
+// @ts-check
+import { env } from '$env/dynamic/private';
+import { odooBackend } from '$lib/server/backends/odoo';
+import { localBackend } from '$lib/server/backends/local';
+
+/**
+ * Data Backends behind /api/odoo
+ *
+ * The proxy only talks to a Backend, so the app can run against Odoo or, for
+ * demos and development, against a JSON file on the server (BACKEND=local).
+ * Both speak Odoo semantics: domains, many2one values as [id, name] tuples,
+ * write_date on every record and OdooError codes on failure.
+ */
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {number} [limit] - Maximum number of records
+ * @property {number} [offset] - Records to skip
+ * @property {string} [order] - Odoo order clause, e.g. 'x_name asc, id desc'
+ */
+
+/**
+ * @typedef {Object} Backend
+ * @property {string} name
+ * @property {(model: string, values: Record<string, any>) => Promise<number>} create - Returns the new id
+ * @property {(model: string, domain: any[], fields: string[], options?: SearchOptions) => Promise<Record<string, any>[]>} searchRead
+ * @property {(model: string, domain: any[]) => Promise<number[]>} search - Matching ids
+ * @property {(model: string, domain: any[]) => Promise<number>} count
+ * @property {(model: string, ids: number[], fields: string[]) => Promise<Record<string, any>[]>} read - Fails with code 'missing' for unknown ids
+ * @property {(model: string, ids: number[], values: Record<string, any>) => Promise<boolean>} write
+ * @property {(model: string, ids: number[]) => Promise<boolean>} unlink
+ * @property {(model: string, attributes: string[]) => Promise<Record<string, Record<string, any>>>} fieldsGet - Field metadata like Odoo's fields_get
+ */
+
+/** @type {Record<string, Backend>} */
+const BACKENDS = {
+	odoo: odooBackend,
+	local: localBackend
+};
+
+/**
+ * Backend selected with the BACKEND environment variable (default: odoo)
+ * @returns {Backend}
+ */
+export function getBackend() {
+	const name = env.BACKEND || 'odoo';
+	const backend = BACKENDS[name];
+	if (!backend) {
+		throw new Error(`Unknown BACKEND ${name}, expected one of ${Object.keys(BACKENDS).join(', ')}`);
+	}
+	return backend;
+}
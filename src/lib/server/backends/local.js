@@ -0,0 +1,345 @@
+// @ts-check
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { env } from '$env/dynamic/private';
+import { OdooError } from '$lib/server/odoo';
+import { matchesDomain } from '$lib/inventoryUtils';
+import { DEFAULT_FIELDS } from '$lib/schema';
+import { PRIMARY_MODEL } from '$lib/server/policy';
+
+/**
+ * Local JSON-File Backend
+ *
+ * Keeps every model in one JSON file on the server (LOCAL_DATA_FILE), so the
+ * app runs on a laptop without an Odoo instance. Records get ids, write_date
+ * and display_name like in Odoo, many2one fields are read as [id, name] and
+ * searches understand Odoo domains (evaluated with matchesDomain from inventoryUtils).
+ */
+
+/**
+ * @typedef {Object} ModelTable
+ * @property {number} nextId
+ * @property {Record<string, any>[]} records
+ */
+
+/**
+ * @typedef {Object} LocalData
+ * @property {number} version
+ * @property {Record<string, ModelTable>} models
+ */
+
+const DATA_FILE = env.LOCAL_DATA_FILE || '.data/local-backend.json';
+
+// many2one fields and the model they point to
+const RELATIONS = {
+	x_studio_location: 'x_location',
+	x_studio_category: 'x_category',
+	x_studio_inventory: PRIMARY_MODEL
+};
+
+// Field metadata for fields_get; records may hold other fields, but they have no type here
+const FIELDS = {
+	[PRIMARY_MODEL]: DEFAULT_FIELDS
+};
+
+// Lookup records a fresh data file starts with, so the add form has something to pick
+const SEED = {
+	x_location: ['Fridge', 'Freezer', 'Pantry'],
+	x_category: ['Dairy', 'Meat & Fish', 'Fruit & Vegetables', 'Drinks', 'Leftovers']
+};
+
+/** @type {LocalData|null} */
+let data = null;
+
+// The first load, shared by requests that arrive before it is done
+/** @type {Promise<LocalData>|null} */
+let loading = null;
+
+// Writes are applied one at a time so concurrent requests can't lose updates
+/** @type {Promise<any>} */
+let writeQueue = Promise.resolve();
+
+/**
+ * Odoo-style UTC timestamp ("YYYY-MM-DD HH:MM:SS")
+ * @param {Date} [date]
+ */
+function now(date = new Date()) {
+	return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * write_date for a change to a record. Timestamps have whole seconds, as Odoo
+ * returns them, so a second change within the same second moves it one second
+ * on: every write must look different to the proxy's conflict check.
+ * @param {string} [previous] - The record's current write_date
+ */
+function nextWriteDate(previous) {
+	const timestamp = now();
+	if (!previous || timestamp > previous) return timestamp;
+	return now(new Date(Date.parse(`${previous.replace(' ', 'T')}Z`) + 1000));
+}
+
+/**
+ * @returns {LocalData}
+ */
+function seedData() {
+	const timestamp = now();
+	/** @type {LocalData} */
+	const seeded = { version: 1, models: {} };
+	for (const [model, names] of Object.entries(SEED)) {
+		seeded.models[model] = {
+			nextId: names.length + 1,
+			records: names.map((name, i) => ({ id: i + 1, x_name: name, create_date: timestamp, write_date: timestamp }))
+		};
+	}
+	return seeded;
+}
+
+/**
+ * @returns {Promise<LocalData>}
+ */
+function load() {
+	if (!loading) {
+		loading = readData().catch((error) => {
+			// Let the next request try again
+			loading = null;
+			throw error;
+		});
+	}
+	return loading;
+}
+
+/**
+ * Read the data file, or start a seeded one when there is none yet
+ * @returns {Promise<LocalData>}
+ */
+async function readData() {
+	try {
+		data = JSON.parse(await readFile(DATA_FILE, 'utf8'));
+	} catch (error) {
+		if (error.code !== 'ENOENT') {
+			throw new Error(`Cannot read ${DATA_FILE}: ${error.message}`);
+		}
+		data = seedData();
+		await save();
+	}
+	return /** @type {LocalData} */ (data);
+}
+
+/**
+ * Write the whole file; rename makes the replacement atomic
+ */
+async function save() {
+	await mkdir(dirname(DATA_FILE), { recursive: true });
+	const tmp = `${DATA_FILE}.tmp`;
+	await writeFile(tmp, JSON.stringify(data, null, 2));
+	await rename(tmp, DATA_FILE);
+}
+
+/**
+ * Run a change against the data and persist it
+ * @template T
+ * @param {(data: LocalData) => T} change
+ * @returns {Promise<T>}
+ */
+function mutate(change) {
+	const run = writeQueue.then(async () => {
+		const result = change(await load());
+		await save();
+		return result;
+	});
+	writeQueue = run.catch(() => {});
+	return run;
+}
+
+/**
+ * @param {LocalData} store
+ * @param {string} model
+ * @returns {ModelTable}
+ */
+function table(store, model) {
+	if (!store.models[model]) {
+		store.models[model] = { nextId: 1, records: [] };
+	}
+	return store.models[model];
+}
+
+/**
+ * @param {Record<string, any>} record
+ */
+function displayName(record) {
+	return String(record.x_name ?? record.name ?? `#${record.id}`);
+}
+
+/**
+ * Value of a field as Odoo's read would return it
+ * @param {LocalData} store
+ * @param {Record<string, any>} record
+ * @param {string} field
+ */
+function readField(store, record, field) {
+	if (field === 'display_name') return displayName(record);
+
+	const value = record[field];
+	if (value === undefined || value === null) return false;
+
+	const target = RELATIONS[field];
+	if (target && value) {
+		const related = table(store, target).records.find((r) => r.id === value);
+		return related ? [value, displayName(related)] : false;
+	}
+	return value;
+}
+
+/**
+ * @param {LocalData} store
+ * @param {Record<string, any>} record
+ * @param {string[]} fields - All stored fields when empty
+ */
+function project(store, record, fields) {
+	const names = fields.length > 0 ? fields : ['id', 'display_name', ...Object.keys(record)];
+	return Object.fromEntries(names.map((field) => [field, readField(store, record, field)]));
+}
+
+/**
+ * Incoming values as stored: many2one ids as plain numbers, false as null
+ * @param {Record<string, any>} values
+ */
+function normalizeValues(values) {
+	const normalized = {};
+	for (const [field, value] of Object.entries(values || {})) {
+		if (['id', 'display_name', 'create_date', 'write_date'].includes(field)) continue;
+		if (RELATIONS[field]) {
+			normalized[field] = Array.isArray(value) ? value[0] || null : value || null;
+		} else {
+			normalized[field] = value === false ? null : value;
+		}
+	}
+	return normalized;
+}
+
+/**
+ * @param {LocalData} store
+ * @param {string} model
+ * @param {any[]} domain
+ */
+function find(store, model, domain) {
+	try {
+		// Match against the record as Odoo would return it, so many2one fields are [id, name]
+		return table(store, model).records
+			.filter((record) => matchesDomain(project(store, record, []), domain || []))
+			.sort((a, b) => a.id - b.id);
+	} catch (error) {
+		throw new OdooError(error.message, 'validation');
+	}
+}
+
+/**
+ * Sort like Odoo's order clause ('x_name desc, id'); as in PostgreSQL, unset values
+ * come last in ascending order
+ * @param {Record<string, any>[]} records
+ * @param {string} order
+ * @param {(record: Record<string, any>, field: string) => any} valueOf - Field as read, so many2one fields sort by name
+ */
+function sortRecords(records, order, valueOf) {
+	const terms = order.split(',').map((term) => {
+		const [field, direction = 'asc'] = term.trim().split(/\s+/);
+		return { field, sign: direction.toLowerCase() === 'desc' ? -1 : 1 };
+	});
+	const sortValue = (value) => (Array.isArray(value) ? value[1] : value);
+
+	return [...records].sort((a, b) => {
+		for (const { field, sign } of terms) {
+			const x = sortValue(valueOf(a, field));
+			const y = sortValue(valueOf(b, field));
+			if (x === y) continue;
+			if (x === false) return sign;
+			if (y === false) return -sign;
+			return (x < y ? -1 : 1) * sign;
+		}
+		return 0;
+	});
+}
+
+/**
+ * @param {ModelTable} modelTable
+ * @param {string} model
+ * @param {number[]} ids
+ */
+function requireRecords(modelTable, model, ids) {
+	const records = ids.map((id) => modelTable.records.find((r) => r.id === id));
+	const missing = ids.filter((_, i) => !records[i]);
+	if (missing.length > 0) {
+		throw new OdooError(`Record does not exist or has been deleted: ${model}(${missing.join(', ')})`, 'missing');
+	}
+	return records;
+}
+
+/**
+ * @type {import('$lib/server/backends').Backend}
+ */
+export const localBackend = {
+	name: 'local',
+
+	create(model, values) {
+		return mutate((store) => {
+			const modelTable = table(store, model);
+			const timestamp = now();
+			const id = modelTable.nextId++;
+			modelTable.records.push({ ...normalizeValues(values), id, create_date: timestamp, write_date: timestamp });
+			return id;
+		});
+	},
+
+	async searchRead(model, domain, fields, { limit, offset = 0, order } = {}) {
+		const store = await load();
+		let records = find(store, model, domain);
+		if (order) {
+			records = sortRecords(records, order, (record, field) => readField(store, record, field));
+		}
+		const end = limit === undefined ? undefined : offset + limit;
+		return records.slice(offset, end).map((record) => project(store, record, fields));
+	},
+
+	async search(model, domain) {
+		return find(await load(), model, domain).map((record) => record.id);
+	},
+
+	async count(model, domain) {
+		return find(await load(), model, domain).length;
+	},
+
+	async read(model, ids, fields) {
+		const store = await load();
+		return requireRecords(table(store, model), model, ids).map((record) => project(store, record, fields));
+	},
+
+	write(model, ids, values) {
+		return mutate((store) => {
+			const records = requireRecords(table(store, model), model, ids);
+			for (const record of records) {
+				Object.assign(record, normalizeValues(values), { write_date: nextWriteDate(record.write_date) });
+			}
+			return true;
+		});
+	},
+
+	unlink(model, ids) {
+		return mutate((store) => {
+			const modelTable = table(store, model);
+			requireRecords(modelTable, model, ids);
+			modelTable.records = modelTable.records.filter((r) => !ids.includes(r.id));
+			return true;
+		});
+	},
+
+	async fieldsGet(model, attributes) {
+		const fields = FIELDS[model] || {};
+		return Object.fromEntries(
+			Object.entries(fields).map(([name, info]) => [
+				name,
+				Object.fromEntries(Object.entries(info).filter(([key]) => attributes.includes(key)))
+			])
+		);
+	}
+};
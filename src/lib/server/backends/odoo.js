@@ -0,0 +1,46 @@
+// @ts-check
+import { execute } from '$lib/server/odoo';
+
+/**
+ * Backend that forwards to Odoo's external API with the service account
+ * @type {import('$lib/server/backends').Backend}
+ */
+export const odooBackend = {
+	name: 'odoo',
+
+	create(model, values) {
+		return execute(model, 'create', [values]);
+	},
+
+	searchRead(model, domain, fields, { limit, offset, order } = {}) {
+		// Odoo rejects explicit nulls, so unset options are left out
+		const paging = Object.fromEntries(
+			Object.entries({ limit, offset, order }).filter(([, value]) => value !== undefined)
+		);
+		return execute(model, 'search_read', [domain], { fields, ...paging });
+	},
+
+	search(model, domain) {
+		return execute(model, 'search', [domain]);
+	},
+
+	count(model, domain) {
+		return execute(model, 'search_count', [domain]);
+	},
+
+	read(model, ids, fields) {
+		return execute(model, 'read', [ids, fields]);
+	},
+
+	write(model, ids, values) {
+		return execute(model, 'write', [ids, values]);
+	},
+
+	unlink(model, ids) {
+		return execute(model, 'unlink', [ids]);
+	},
+
+	fieldsGet(model, attributes) {
+		return execute(model, 'fields_get', [], { attributes });
+	}
+};
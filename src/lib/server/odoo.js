@@ -0,0 +1,220 @@
+// @ts-check
+import {
+	ODOO_URL,
+	ODOO_DB,
+	ODOO_USERNAME,
+	ODOO_API_KEY
+} from '$env/static/private';
+import { env } from '$env/dynamic/private';
+
+/**
+ * Odoo JSON-RPC Client (service account)
+ *
+ * Every failure is raised as an OdooError with a machine-readable code that the
+ * proxy passes on to the browser. Reads are retried with backoff on transient
+ * errors; writes are not, because a timed-out write may still have been applied.
+ */
+
+const TIMEOUT_MS = Number(env.ODOO_TIMEOUT_MS) || 15000;
+const MAX_ATTEMPTS = 3;
+const BACKOFF_MS = 300;
+
+// Methods that don't change data and can safely be sent again
+const READ_METHODS = new Set(['search', 'search_read', 'search_count', 'read', 'fields_get', 'login']);
+
+// Odoo exception class -> error code
+const EXCEPTION_CODES = {
+	'odoo.exceptions.AccessDenied': 'odoo_auth',
+	'odoo.http.SessionExpiredException': 'odoo_auth',
+	'odoo.exceptions.AccessError': 'access_denied',
+	'odoo.exceptions.MissingError': 'missing',
+	'odoo.exceptions.ValidationError': 'validation',
+	'odoo.exceptions.UserError': 'validation',
+	'builtins.ValueError': 'validation'
+};
+
+/**
+ * HTTP status the proxy answers with, per code
+ * @type {Record<string, number>}
+ */
+const CODE_STATUS = {
+	odoo_auth: 502,
+	access_denied: 403,
+	missing: 404,
+	validation: 422,
+	unavailable: 503,
+	timeout: 504,
+	odoo_error: 500
+};
+
+/**
+ * Classified Odoo failure
+ * - odoo_auth: Odoo rejected the service account (e.g. rotated API key)
+ * - access_denied: the service account lacks access rights
+ * - missing: the record does not exist (any more)
+ * - validation: Odoo refused the values
+ * - unavailable, timeout: Odoo could not be reached in time; worth retrying later
+ * - odoo_error: anything else
+ */
+export class OdooError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {string} code
+	 */
+	constructor(message, code) {
+		super(message);
+		this.name = 'OdooError';
+		this.code = code;
+		this.status = CODE_STATUS[code] || 500;
+		this.retriable = code === 'unavailable' || code === 'timeout';
+	}
+}
+
+/** @type {number|null} */
+let cachedUid = null;
+
+/** @type {Promise<number>|null} */
+let loggingIn = null;
+
+/**
+ * @param {number} ms
+ */
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Send one JSON-RPC request
+ * @param {string} service
+ * @param {string} method
+ * @param {any[]} args
+ */
+async function postJsonRpc(service, method, args) {
+	let response;
+	try {
+		response = await fetch(`${ODOO_URL}/jsonrpc`, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify({
+				jsonrpc: '2.0',
+				method: 'call',
+				params: {
+					service: service,
+					method: method,
+					args: args
+				},
+				id: Math.floor(Math.random() * 1000000)
+			}),
+			signal: AbortSignal.timeout(TIMEOUT_MS)
+		});
+	} catch (error) {
+		if (error?.name === 'TimeoutError') {
+			throw new OdooError(`Odoo did not answer within ${TIMEOUT_MS} ms`, 'timeout');
+		}
+		throw new OdooError(`Cannot reach Odoo: ${error?.message || error}`, 'unavailable');
+	}
+
+	if (!response.ok) {
+		const transient = response.status === 429 || response.status >= 500;
+		throw new OdooError(`Odoo answered HTTP ${response.status}`, transient ? 'unavailable' : 'odoo_error');
+	}
+
+	let data;
+	try {
+		data = await response.json();
+	} catch {
+		// Typically an HTML error page from a proxy in front of Odoo
+		throw new OdooError('Odoo sent an invalid response', 'unavailable');
+	}
+
+	if (data.error) {
+		const code = EXCEPTION_CODES[data.error.data?.name] || 'odoo_error';
+		throw new OdooError(data.error.data?.message || data.error.message || 'Odoo API Error', code);
+	}
+
+	return data.result;
+}
+
+/**
+ * Make JSON-RPC call to Odoo
+ * @param {string} service
+ * @param {string} method
+ * @param {any[]} args
+ * @param {{ retry?: boolean }} [options] - Retry transient failures with exponential backoff
+ */
+export async function callOdoo(service, method, args, { retry = false } = {}) {
+	for (let attempt = 1; ; attempt++) {
+		try {
+			return await postJsonRpc(service, method, args);
+		} catch (error) {
+			if (!retry || !error.retriable || attempt >= MAX_ATTEMPTS) throw error;
+			await sleep(BACKOFF_MS * 2 ** (attempt - 1) + Math.random() * BACKOFF_MS);
+		}
+	}
+}
+
+/**
+ * Authenticate with Odoo and get UID. Concurrent callers share one login.
+ * @returns {Promise<number>}
+ */
+async function authenticate() {
+	if (cachedUid) return cachedUid;
+
+	if (!loggingIn) {
+		loggingIn = (async () => {
+			const authMethod = ODOO_API_KEY;
+			const uid = await callOdoo('common', 'login', [ODOO_DB, ODOO_USERNAME, authMethod], { retry: true });
+
+			if (!uid) {
+				throw new OdooError('Odoo rejected the service account credentials', 'odoo_auth');
+			}
+
+			cachedUid = uid;
+			return uid;
+		})().finally(() => {
+			loggingIn = null;
+		});
+	}
+
+	return loggingIn;
+}
+
+/**
+ * Execute a method on Odoo model
+ * @param {string} model
+ * @param {string} method
+ * @param {any[]} args
+ * @param {Record<string, any>} kwargs
+ */
+export async function execute(model, method, args = [], kwargs = {}) {
+	const retry = READ_METHODS.has(method);
+	const authMethod = ODOO_API_KEY;
+
+	/** @param {number} uid */
+	const run = (uid) =>
+		callOdoo('object', 'execute_kw', [ODOO_DB, uid, authMethod, model, method, args, kwargs], { retry });
+
+	try {
+		return await run(await authenticate());
+	} catch (error) {
+		if (!(error instanceof OdooError) || error.code !== 'odoo_auth') throw error;
+
+		// The cached uid or key is no longer accepted: log in again once. Nothing
+		// was executed, so retrying a write is safe here.
+		cachedUid = null;
+		return await run(await authenticate());
+	}
+}
+
+/**
+ * Check a household member's own Odoo credentials
+ * @param {string} login
+ * @param {string} password - Password or personal API key
+ * @returns {Promise<number|null>} - The member's Odoo user id
+ */
+export async function loginUser(login, password) {
+	const uid = await callOdoo('common', 'login', [ODOO_DB, login, password], { retry: true });
+	return uid || null;
+}
@@ -0,0 +1,379 @@
+// @ts-check
+import { env } from '$env/dynamic/private';
+import { matchesDomain } from '$lib/inventoryUtils';
+
+/**
+ * Access Policy for the /api/odoo Proxy
+ *
+ * The proxy talks to Odoo with the service account's API key, so it must only
+ * forward what the app itself needs. Every call is checked against this
+ * allow-list of models, operations and fields; anything else is rejected with
+ * a 403 before it reaches Odoo.
+ */
+
+/**
+ * @typedef {'create'|'read'|'write'|'unlink'} Operation
+ */
+
+/**
+ * @typedef {Object} ModelPolicy
+ * @property {Operation[]} operations - Allowed operations
+ * @property {string[]} readFields - Fields that may be read or used in a domain
+ * @property {string[]} writeFields - Fields that may be set on create/write
+ * @property {any[]} domain - Always ANDed into searches; writes and deletes must target records
+ *   inside it, and creates and writes must leave them inside it
+ * @property {string} [userField] - Char field the proxy sets to the logged-in member's name on create
+ * @property {boolean} [attributed] - Has the ODOO_ATTRIBUTION_FIELD, set to the member on every write
+ */
+
+export const PRIMARY_MODEL = env.ODOO_PRIMARY_MODEL || 'x_inventory';
+
+/**
+ * Optional restriction of the primary model, e.g. [["x_studio_household","=",3]].
+ * Written values are checked against it locally, so it may only use the model's
+ * own fields (no dotted paths) and the operators matchesDomain knows.
+ * @returns {any[]}
+ */
+function parsePrimaryDomain() {
+	if (!env.ODOO_PRIMARY_DOMAIN) return [];
+	try {
+		const domain = JSON.parse(env.ODOO_PRIMARY_DOMAIN);
+		if (!Array.isArray(domain)) throw new Error('not a list');
+		matchesDomain({}, domain);
+		return domain;
+	} catch (e) {
+		// Fail closed: a broken restriction must not silently open up every record
+		throw new Error(`Invalid ODOO_PRIMARY_DOMAIN: ${e.message}`);
+	}
+}
+
+const PRIMARY_WRITE_FIELDS = [
+	'x_name',
+	'x_studio_items_count',
+	'x_studio_expiry_date',
+	'x_studio_barcode',
+	'x_studio_location',
+	'x_studio_category',
+	'x_studio_min_quantity',
+	'x_studio_unit_price'
+	// Add fields here when you add them to the app
+];
+
+const SHOPPING_WRITE_FIELDS = [
+	'x_name',
+	'x_studio_quantity',
+	'x_studio_bought',
+	'x_studio_inventory'
+];
+
+const MOVEMENT_WRITE_FIELDS = [
+	'x_name',
+	'x_studio_inventory',
+	'x_studio_delta',
+	'x_studio_reason',
+	'x_studio_moved_at',
+	'x_studio_unit_price',
+	'x_studio_expiry_date'
+];
+
+/** @type {Record<string, ModelPolicy>} */
+const POLICY = {
+	[PRIMARY_MODEL]: {
+		operations: ['create', 'read', 'write', 'unlink'],
+		readFields: ['id', 'display_name', 'write_date', ...PRIMARY_WRITE_FIELDS],
+		writeFields: PRIMARY_WRITE_FIELDS,
+		domain: parsePrimaryDomain(),
+		attributed: true
+	},
+	x_location: {
+		operations: ['read'],
+		readFields: ['id', 'display_name'],
+		writeFields: [],
+		domain: []
+	},
+	x_category: {
+		operations: ['read'],
+		readFields: ['id', 'display_name'],
+		writeFields: [],
+		domain: []
+	},
+	x_shopping_item: {
+		operations: ['create', 'read', 'write', 'unlink'],
+		readFields: ['id', 'display_name', 'write_date', ...SHOPPING_WRITE_FIELDS],
+		writeFields: SHOPPING_WRITE_FIELDS,
+		domain: [],
+		attributed: true
+	},
+	// Append-only: movements are never changed or deleted through the app
+	x_stock_movement: {
+		operations: ['create', 'read'],
+		readFields: ['id', 'display_name', 'write_date', 'x_studio_user', ...MOVEMENT_WRITE_FIELDS],
+		writeFields: MOVEMENT_WRITE_FIELDS,
+		domain: [],
+		userField: 'x_studio_user'
+	}
+	// Partner lookups (resolvePartnerNames) need an entry for res.partner here
+};
+
+/**
+ * What each proxy action does to the model
+ * @type {Record<string, Operation>}
+ */
+const ACTION_OPERATIONS = {
+	create: 'create',
+	search: 'read',
+	search_ids: 'read',
+	search_model: 'read',
+	count: 'read',
+	fields_get: 'read',
+	update: 'write',
+	adjust: 'write',
+	delete: 'unlink'
+};
+
+const DOMAIN_OPERATORS = ['&', '|', '!'];
+
+// Largest page a single search may ask for
+const MAX_LIMIT = 2000;
+
+/**
+ * Rejected call; turned into a structured 403 by the proxy
+ */
+export class PolicyError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {Record<string, any>} details
+	 */
+	constructor(message, details) {
+		super(message);
+		this.name = 'PolicyError';
+		this.code = 'forbidden';
+		this.details = details;
+	}
+}
+
+/**
+ * @param {string} model
+ * @param {string} action
+ * @param {string[]} fields
+ * @param {string} kind - 'read' or 'write'
+ * @param {string[]} allowed
+ */
+function checkFields(model, action, fields, kind, allowed) {
+	const denied = fields.filter((field) => !allowed.includes(field));
+	if (denied.length > 0) {
+		throw new PolicyError(`Not allowed to ${kind} ${denied.join(', ')} on ${model}`, {
+			model,
+			action,
+			fields: denied
+		});
+	}
+}
+
+/**
+ * Field names a domain refers to. Dotted paths are refused: they would reach
+ * into related models and fields the allow-list doesn't cover.
+ * @param {string} model
+ * @param {string} action
+ * @param {any} domain
+ * @returns {string[]}
+ */
+function domainFields(model, action, domain) {
+	if (!Array.isArray(domain)) {
+		throw new PolicyError('Domain must be a list', { model, action });
+	}
+
+	return domain.flatMap((term) => {
+		if (DOMAIN_OPERATORS.includes(term)) return [];
+		if (Array.isArray(term) && term.length === 3 && typeof term[0] === 'string' && typeof term[1] === 'string') {
+			if (term[0].includes('.')) {
+				throw new PolicyError(`Domain paths through related records are not allowed: ${term[0]}`, {
+					model,
+					action
+				});
+			}
+			return [term[0]];
+		}
+		throw new PolicyError(`Unsupported domain term ${JSON.stringify(term)}`, { model, action });
+	});
+}
+
+/**
+ * Check limit, offset and order of a search. The order may only use readable
+ * fields, so it can't be used to probe hidden ones.
+ * @param {string} model
+ * @param {string} action
+ * @param {Record<string, any>} data
+ * @param {string[]} readFields
+ */
+function checkPaging(model, action, data, readFields) {
+	const { limit, offset, order } = data;
+
+	if (limit !== undefined && !(Number.isInteger(limit) && limit > 0 && limit <= MAX_LIMIT)) {
+		throw new PolicyError(`Limit must be a whole number from 1 to ${MAX_LIMIT}`, { model, action });
+	}
+	if (offset !== undefined && !(Number.isInteger(offset) && offset >= 0)) {
+		throw new PolicyError('Offset must be a whole number of at least 0', { model, action });
+	}
+	if (order === undefined) return;
+
+	const terms = typeof order === 'string' ? order.split(',').map((term) => term.trim()) : [];
+	const fields = terms.map((term) => {
+		const match = /^([a-z_][a-z0-9_]*)(?:\s+(?:asc|desc))?$/i.exec(term);
+		if (!match) {
+			throw new PolicyError(`Unsupported order ${JSON.stringify(order)}`, { model, action });
+		}
+		return match[1];
+	});
+	if (fields.length === 0) {
+		throw new PolicyError('Order must name at least one field', { model, action });
+	}
+	checkFields(model, action, fields, 'read', readFields);
+}
+
+/**
+ * Add the primary model's schema fields to its allow-list, so fields added in
+ * Studio can be read, and written unless Odoo marks them readonly
+ * @param {ModelPolicy} policy
+ * @param {import('$lib/schema').Schema} schema - From $lib/server/schema, already limited to custom fields
+ * @returns {ModelPolicy}
+ */
+function withSchema(policy, schema) {
+	const names = Object.keys(schema);
+	const writable = names.filter((name) => !schema[name].readonly);
+	return {
+		...policy,
+		readFields: [...new Set([...policy.readFields, ...names])],
+		writeFields: [...new Set([...policy.writeFields, ...writable])]
+	};
+}
+
+/**
+ * Check a proxy call against the policy.
+ * @param {string} action - Proxy action name
+ * @param {Record<string, any>} data - Action payload
+ * @param {import('$lib/schema').Schema|null} [schema] - Primary model schema whose fields are allowed too
+ * @returns {Record<string, any>} - Payload to execute: read fields default to the allow-list
+ *   and searches get the model's domain restriction ANDed in
+ * @throws {PolicyError}
+ */
+export function authorize(action, data, schema = null) {
+	const model = data?.model;
+	const policy = schema && model === PRIMARY_MODEL ? withSchema(POLICY[model], schema) : POLICY[model];
+	if (!policy) {
+		throw new PolicyError(`Model ${model} is not allowed`, { model, action });
+	}
+
+	const operation = ACTION_OPERATIONS[action];
+	if (!operation || !policy.operations.includes(operation)) {
+		throw new PolicyError(`Action ${action} is not allowed on ${model}`, { model, action });
+	}
+
+	switch (action) {
+		case 'create':
+			checkFields(model, action, Object.keys(data.fields || {}), 'write', policy.writeFields);
+			return data;
+
+		case 'update':
+			checkFields(model, action, Object.keys(data.values || {}), 'write', policy.writeFields);
+			return data;
+
+		case 'adjust':
+			checkFields(model, action, [data.field], 'write', policy.writeFields);
+			return data;
+
+		case 'delete':
+			return data;
+
+		case 'fields_get':
+			if (model !== PRIMARY_MODEL) {
+				throw new PolicyError(`Field metadata is only available for ${PRIMARY_MODEL}`, { model, action });
+			}
+			return data;
+
+		default: {
+			// search, search_ids, search_model, count
+			const domain = data.domain || [];
+			checkFields(model, action, domainFields(model, action, domain), 'read', policy.readFields);
+			checkPaging(model, action, data, policy.readFields);
+
+			// Without an explicit list Odoo would return every field
+			const fields = data.fields && data.fields.length > 0 ? data.fields : policy.readFields;
+			if (action !== 'search_ids' && action !== 'count') {
+				checkFields(model, action, fields, 'read', policy.readFields);
+			}
+
+			return { ...data, fields, domain: [...policy.domain, ...domain] };
+		}
+	}
+}
+
+/**
+ * Domain restriction of a model (empty when all records are reachable)
+ * @param {string} model
+ * @returns {any[]}
+ */
+export function scopeDomain(model) {
+	return POLICY[model]?.domain || [];
+}
+
+/**
+ * Fields the model's domain restriction looks at
+ * @param {string} model
+ * @returns {string[]}
+ */
+export function scopeFields(model) {
+	return [...new Set(domainFields(model, 'scope', scopeDomain(model)))];
+}
+
+/**
+ * Values a create gets so it lands inside the domain restriction: the fields the
+ * restriction sets with '=' (e.g. the household)
+ * @param {string} model
+ * @returns {Record<string, any>}
+ */
+export function scopeValues(model) {
+	return Object.fromEntries(
+		scopeDomain(model)
+			.filter((term) => Array.isArray(term) && (term[1] === '=' || term[1] === '=='))
+			.map(([field, , value]) => [field, value])
+	);
+}
+
+/**
+ * Whether a record, or the values it will have after a write, lies inside the
+ * model's domain restriction
+ * @param {string} model
+ * @param {Record<string, any>} record
+ * @returns {boolean}
+ */
+export function inScope(model, record) {
+	return matchesDomain(record, scopeDomain(model));
+}
+
+/**
+ * Whether the app may read a model, e.g. the target of a many2one field
+ * @param {string} model
+ * @returns {boolean}
+ */
+export function canRead(model) {
+	return !!POLICY[model]?.operations.includes('read');
+}
+
+/**
+ * Field a model records the creating member in, if any
+ * @param {string} model
+ * @returns {string}
+ */
+export function userField(model) {
+	return POLICY[model]?.userField || '';
+}
+
+/**
+ * Whether writes to a model record the member in ODOO_ATTRIBUTION_FIELD
+ * @param {string} model
+ * @returns {boolean}
+ */
+export function isAttributed(model) {
+	return !!POLICY[model]?.attributed;
+}
@@ -0,0 +1,41 @@
+// @ts-check
+import { env } from '$env/dynamic/private';
+import { getBackend } from '$lib/server/backends';
+import { PRIMARY_MODEL, canRead } from '$lib/server/policy';
+import { FIELD_ATTRIBUTES, normalizeSchema } from '$lib/schema';
+
+/**
+ * Schema of the Primary Model
+ *
+ * The inventory model's fields_get, cut down to what the app may see: custom
+ * fields (x_ prefix) of the types it has widgets for, and many2one fields only
+ * when the policy lets the app read their target model. The proxy answers
+ * fields_get with it and lets the policy accept the fields it lists.
+ */
+
+const SCHEMA_TTL_MS = 5 * 60 * 1000; // Studio changes show up after at most this long
+
+/** @type {{ schema: import('$lib/schema').Schema, loadedAt: number }|null} */
+let cached = null;
+
+/**
+ * @returns {Promise<import('$lib/schema').Schema>}
+ */
+export async function getPrimarySchema() {
+	if (cached && Date.now() - cached.loadedAt < SCHEMA_TTL_MS) {
+		return cached.schema;
+	}
+
+	const fields = await getBackend().fieldsGet(PRIMARY_MODEL, FIELD_ATTRIBUTES);
+	/** @type {import('$lib/schema').Schema} */
+	const schema = {};
+	for (const [name, field] of Object.entries(normalizeSchema(fields))) {
+		if (!name.startsWith('x_')) continue;
+		if (field.type === 'many2one' && !canRead(field.relation)) continue;
+		// The proxy fills the attribution field itself
+		schema[name] = name === env.ODOO_ATTRIBUTION_FIELD ? { ...field, readonly: true } : field;
+	}
+
+	cached = { schema, loadedAt: Date.now() };
+	return schema;
+}
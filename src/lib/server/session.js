@@ -0,0 +1,129 @@
+// @ts-check
+import { env } from '$env/dynamic/private';
+
+/**
+ * Signed Session Cookie
+ *
+ * The cookie holds the user as base64url JSON plus an HMAC-SHA256 signature
+ * made with SESSION_SECRET, so the server can trust it without a session table.
+ */
+
+/**
+ * @typedef {Object} SessionUser
+ * @property {string} login
+ * @property {string} name - Shown in the app and written to the attribution field
+ * @property {number|null} uid - Odoo user id when logged in through Odoo
+ */
+
+export const SESSION_COOKIE = 'fridge_session';
+const SESSION_DAYS = 30;
+
+// The placeholder once shipped in .env.example: public, so never a secret
+const EXAMPLE_SECRETS = ['change-me-to-a-long-random-string-of-32-chars'];
+
+function getSecret() {
+	const secret = env.SESSION_SECRET;
+	if (!secret || secret.length < 32) {
+		throw new Error('SESSION_SECRET must be set to at least 32 characters');
+	}
+	if (EXAMPLE_SECRETS.includes(secret) || /^change-?me/i.test(secret)) {
+		throw new Error('SESSION_SECRET is still the example value; set it to a random string');
+	}
+	return secret;
+}
+
+const encoder = new TextEncoder();
+
+/**
+ * @param {Uint8Array} bytes
+ */
+function toBase64Url(bytes) {
+	return btoa(String.fromCharCode(...bytes))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text
+ */
+function fromBase64Url(text) {
+	return atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+/**
+ * HMAC key from SESSION_SECRET (Web Crypto, so it also runs on edge runtimes)
+ * @returns {Promise<CryptoKey>}
+ */
+function getKey() {
+	return crypto.subtle.importKey(
+		'raw',
+		encoder.encode(getSecret()),
+		{ name: 'HMAC', hash: 'SHA-256' },
+		false,
+		['sign', 'verify']
+	);
+}
+
+/**
+ * Cookie options. Cross-site deployments (PUBLIC_API_URL on another domain)
+ * need SESSION_COOKIE_SAMESITE=none.
+ * @returns {Parameters<import('@sveltejs/kit').Cookies['set']>[2]}
+ */
+function cookieOptions() {
+	const sameSite = env.SESSION_COOKIE_SAMESITE === 'none' ? 'none' : 'lax';
+	return {
+		path: '/',
+		httpOnly: true,
+		sameSite,
+		maxAge: SESSION_DAYS * 24 * 60 * 60
+	};
+}
+
+/**
+ * Issue a session cookie for a logged-in user
+ * @param {import('@sveltejs/kit').Cookies} cookies
+ * @param {SessionUser} user
+ */
+export async function startSession(cookies, user) {
+	const payload = toBase64Url(
+		encoder.encode(JSON.stringify({ ...user, exp: Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000 }))
+	);
+	const signature = await crypto.subtle.sign('HMAC', await getKey(), encoder.encode(payload));
+
+	cookies.set(SESSION_COOKIE, `${payload}.${toBase64Url(new Uint8Array(signature))}`, cookieOptions());
+}
+
+/**
+ * @param {import('@sveltejs/kit').Cookies} cookies
+ */
+export function endSession(cookies) {
+	cookies.delete(SESSION_COOKIE, cookieOptions());
+}
+
+/**
+ * User of a valid, unexpired session cookie
+ * @param {import('@sveltejs/kit').Cookies} cookies
+ * @returns {Promise<SessionUser|null>}
+ */
+export async function readSession(cookies) {
+	const token = cookies.get(SESSION_COOKIE);
+	if (!token) return null;
+
+	const [payload, signature] = token.split('.');
+	if (!payload || !signature) return null;
+
+	try {
+		// verify() compares in constant time
+		const signatureBytes = Uint8Array.from(fromBase64Url(signature), (c) => c.charCodeAt(0));
+		const valid = await crypto.subtle.verify('HMAC', await getKey(), signatureBytes, encoder.encode(payload));
+		if (!valid) return null;
+
+		const json = new TextDecoder().decode(Uint8Array.from(fromBase64Url(payload), (c) => c.charCodeAt(0)));
+		const { exp, ...user } = JSON.parse(json);
+		if (typeof exp !== 'number' || exp < Date.now()) return null;
+		return user;
+	} catch {
+		return null;
+	}
+}
@@ -0,0 +1,55 @@
+// @ts-check
+
+/**
+ * App Settings
+ *
+ * Small key/value settings kept in the IndexedDB config store, so they survive
+ * reloads and are available offline.
+ */
+
+import { STORES, get, add } from '$lib/db';
+
+/**
+ * Keys used in the config store
+ */
+export const SETTINGS = {
+	EXPIRY_THRESHOLDS: 'expiry_thresholds',
+	// Also read by the service worker (static/expiry-notifications.js)
+	NOTIFICATIONS: 'notification_settings',
+	NOTIFICATION_LOG: 'notification_log',
+	LIST_VIEWS: 'list_views',
+	// Currency of unit prices, for the reports
+	CURRENCY: 'currency',
+	// Temp ids of offline-created records and the Odoo ids they got (see outbox.js)
+	RESOLVED_IDS: 'resolved_ids',
+	// Keys of outbox entries the server has handled, so a restored backup doesn't send them again
+	SENT_OUTBOX_KEYS: 'sent_outbox_keys',
+	// Add more setting keys as needed
+};
+
+/**
+ * Load a setting, falling back to a default when it was never saved
+ * @template T
+ * @param {string} key
+ * @param {T} fallback
+ * @returns {Promise<T>}
+ */
+export async function loadSetting(key, fallback) {
+	try {
+		const entry = await get(STORES.CONFIG, key);
+		return entry ? entry.value : fallback;
+	} catch (e) {
+		console.warn(`Failed to load setting ${key}:`, e);
+		return fallback;
+	}
+}
+
+/**
+ * Save a setting
+ * @param {string} key
+ * @param {any} value
+ * @returns {Promise<void>}
+ */
+export async function saveSetting(key, value) {
+	await add(STORES.CONFIG, { key, value, updatedAt: Date.now() });
+}
@@ -1,90 +1,281 @@
 // @ts-check
-import { writable, derived } from 'svelte/store';
-import { odooClient } from '$lib/odoo';
+import { writable, derived, get } from 'svelte/store';
+import { odooClient, describeError } from '$lib/odoo';
+import { generateTempId, isTempId, many2oneId } from '$lib/inventoryUtils';
+import { locations, categories, lookupFor } from '$lib/stores/lookups';
+import { inventorySchema } from '$lib/stores/schema';
+import { syncFields, formFields } from '$lib/schema';
+import { normalizeBarcode } from '$lib/barcode';
+import { recordMovement, handleMovementEvent } from '$lib/movements';
+import { STORES, getAll, bulkAdd, remove, replaceAll, clear } from '$lib/db';
+import {
+	enqueue,
+	flush,
+	getPending,
+	discardRecord,
+	resolveId,
+	loadResolvedIds,
+	addOutboxListener
+} from '$lib/outbox';
 
 // Cache configuration
-const CACHE_KEY = 'inventory_cache_v1';
-const CACHE_META_KEY = 'inventory_cache_meta_v1';
+const MODEL = 'x_inventory';
+const LEGACY_CACHE_KEY = 'inventory_cache_v1'; // Records lived in localStorage before IndexedDB
+export const CACHE_META_KEY = 'inventory_cache_meta_v1'; // Also saved in backups (see backup.js)
 const CACHE_DURATION_MS = 5 * 60 * 1000; // 5 minutes cache validity
 const SYNC_INTERVAL_MS = 3 * 60 * 1000; // Background sync every 3 minutes
+const CREATE_CHUNK_SIZE = 50; // Records queued per step by createRecords
+const FETCH_PAGE_SIZE = 500; // Records per request on a full refresh
+
+// many2one fields of the schema and the lookup store holding their target records
+function many2oneLookups() {
+	return Object.fromEntries(
+		Object.values(get(inventorySchema))
+			.filter(field => field.type === 'many2one' && field.relation)
+			.map(field => [field.name, lookupFor(field.relation)])
+	);
+}
 
 /**
  * @typedef {Object} InventoryRecord
- * @property {number} id
+ * @property {number|string} id - Odoo id, or a temp id while the create is still queued
  * @property {string} x_name
  * @property {number} x_studio_items_count
  * @property {string} x_studio_expiry_date
+ * @property {string} [x_studio_barcode] - EAN/UPC code, normalized to EAN-13 for UPC-A
+ * @property {[number, string]|number|false} [x_studio_location] - many2one x_location
+ * @property {[number, string]|number|false} [x_studio_category] - many2one x_category
+ * @property {number} [x_studio_min_quantity] - Restock below this count (0: only once it runs out)
+ * @property {number} [x_studio_unit_price] - Price of one unit, used to put a value on waste
+ * @property {string} [write_date] - Last server-side change, 'YYYY-MM-DD HH:MM:SS' in UTC
  * // Add more field types based on your Odoo model
  */
 
 /**
  * @typedef {Object} CacheMeta
  * @property {number} lastSyncTime
- * @property {number} lastRecordId
+ * @property {string} lastWriteDate - Newest server write_date seen, the lower bound of the next delta
  * @property {number} recordCount
+ * @property {string[]} fields - Fields the cached records were read with; a new one needs a full refresh
  * @property {boolean} isStale
  */
 
+/**
+ * @typedef {Object} Conflict
+ * @property {number} id - Record the conflicting change was made on
+ * @property {Record<string, any>} mine - Values we tried to write
+ * @property {Record<string, any>} theirs - The server version that won (includes write_date)
+ */
+
 /**
  * @typedef {Object} CacheState
  * @property {InventoryRecord[]} records
  * @property {boolean} loading
  * @property {boolean} syncing
  * @property {string} error
+ * @property {number} pendingCount - Changes waiting in the outbox
+ * @property {Conflict[]} conflicts - Our changes the server refused because someone else edited first
+ * @property {{ loaded: number, total: number }|null} progress - Records fetched so far during a full refresh
+ * @property {{ label: string, count: number }|null} lastBulk - The last bulk change, while it can be undone
  * @property {CacheMeta} meta
  */
 
-// Helper functions for localStorage
-function loadFromStorage() {
+/**
+ * One change of a bulk operation
+ * @typedef {{ action: 'update', id: number|string, values: Record<string, any> }
+ *   | { action: 'adjust', id: number|string, delta: number, reason: string }
+ *   | { action: 'delete', id: number|string }
+ *   | { action: 'create', id?: undefined, values: Record<string, any> }} BulkChange
+ */
+
+function isOnline() {
+	return typeof navigator === 'undefined' || navigator.onLine;
+}
+
+// Odoo ids in ascending order, offline-created rows after them
+function compareRecordIds(a, b) {
+	const aTemp = isTempId(a.id);
+	const bTemp = isTempId(b.id);
+	if (aTemp !== bTemp) return aTemp ? 1 : -1;
+	if (aTemp) return String(a.id).localeCompare(String(b.id));
+	return a.id - b.id;
+}
+
+// Odoo expects a bare id or false for many2one fields
+function toOdooValues(values) {
+	const copy = { ...values };
+	for (const field of Object.keys(many2oneLookups())) {
+		if (field in copy) {
+			copy[field] = odooClient.formatMany2one(many2oneId(copy[field]));
+		}
+	}
+	return copy;
+}
+
+// Add field deltas to a record, never going below zero
+function applyDeltas(record, deltas) {
+	const copy = { ...record };
+	for (const [field, delta] of Object.entries(deltas)) {
+		copy[field] = Math.max(0, (Number(copy[field]) || 0) + delta);
+	}
+	return copy;
+}
+
+// Re-apply queued changes on top of server data so unsynced edits don't flicker away
+function applyPendingEntries(records, pending) {
+	let result = records;
+	for (const entry of pending) {
+		if (entry.model !== MODEL) continue;
+
+		if (entry.action === 'create') {
+			if (!result.some(r => r.id === entry.recordId)) {
+				result = [...result, { id: entry.recordId, ...entry.values }];
+			}
+		} else if (entry.action === 'update') {
+			result = result.map(r => r.id === entry.recordId ? { ...r, ...entry.values } : r);
+		} else if (entry.action === 'adjust') {
+			result = result.map(r => r.id === entry.recordId ? applyDeltas(r, entry.values) : r);
+		} else if (entry.action === 'delete') {
+			result = result.filter(r => r.id !== entry.recordId);
+		}
+	}
+	return result;
+}
+
+function emptyMeta() {
+	return {
+		lastSyncTime: 0,
+		lastWriteDate: '',
+		recordCount: 0,
+		fields: [],
+		isStale: true
+	};
+}
+
+// Merge a delta into the cached records: upsert what changed, drop what the server no longer has
+function mergeDelta(records, changedRecords, serverIds) {
+	const existing = new Set(serverIds);
+	const changed = new Map(changedRecords.map(r => [r.id, r]));
+
+	const merged = records
+		.filter(r => isTempId(r.id) || existing.has(r.id))
+		.map(r => changed.has(r.id) ? { ...r, ...changed.get(r.id) } : r);
+
+	const knownIds = new Set(merged.map(r => r.id));
+	for (const record of changedRecords) {
+		if (!knownIds.has(record.id)) {
+			merged.push(record);
+		}
+	}
+	return merged;
+}
+
+// Odoo datetimes ('YYYY-MM-DD HH:MM:SS') sort lexically
+function latestWriteDate(records) {
+	let latest = '';
+	for (const record of records) {
+		if (record.write_date && record.write_date > latest) {
+			latest = record.write_date;
+		}
+	}
+	return latest;
+}
+
+// Metadata is tiny and read synchronously, so it stays in localStorage
+function loadMeta() {
 	try {
-		const cachedData = localStorage.getItem(CACHE_KEY);
 		const meta = localStorage.getItem(CACHE_META_KEY);
-
-		if (cachedData && meta) {
-			const records = JSON.parse(cachedData);
+		if (meta) {
 			const metaData = JSON.parse(meta);
 
 			// Check if cache is stale
 			const now = Date.now();
 			const isStale = now - metaData.lastSyncTime > CACHE_DURATION_MS;
 
-			return {
-				records,
-				meta: { ...metaData, isStale }
-			};
+			return { ...metaData, isStale };
 		}
 	} catch (e) {
-		console.warn('Failed to load cache from storage:', e);
+		console.warn('Failed to load cache metadata:', e);
 	}
 
-	return {
-		records: [],
-		meta: {
-			lastSyncTime: 0,
-			lastRecordId: 0,
-			recordCount: 0,
-			isStale: true
-		}
-	};
+	return emptyMeta();
 }
 
-function saveToStorage(records, meta) {
+function saveMeta(meta, recordCount) {
 	try {
-		localStorage.setItem(CACHE_KEY, JSON.stringify(records));
 		localStorage.setItem(CACHE_META_KEY, JSON.stringify({
 			lastSyncTime: meta.lastSyncTime || Date.now(),
-			lastRecordId: meta.lastRecordId || 0,
-			recordCount: records.length,
+			lastWriteDate: meta.lastWriteDate || '',
+			recordCount,
+			fields: meta.fields || [],
 			isStale: false
 		}));
+	} catch (e) {
+		console.warn('Failed to save cache metadata:', e);
+	}
+}
+
+// One-time move of records cached in localStorage by older versions
+async function migrateLegacyCache() {
+	try {
+		const legacyData = localStorage.getItem(LEGACY_CACHE_KEY);
+		if (!legacyData) return;
+
+		await bulkAdd(STORES.INVENTORY, JSON.parse(legacyData));
+		localStorage.removeItem(LEGACY_CACHE_KEY);
+	} catch (e) {
+		console.warn('Failed to migrate legacy cache:', e);
+	}
+}
+
+// Helper functions for the IndexedDB record cache
+async function loadFromStorage() {
+	await migrateLegacyCache();
+
+	try {
+		const records = await getAll(STORES.INVENTORY);
+		if (records.length > 0) {
+			return { records, meta: loadMeta() };
+		}
+	} catch (e) {
+		console.warn('Failed to load cache from storage:', e);
+	}
+
+	return { records: [], meta: emptyMeta() };
+}
+
+async function saveToStorage(records, meta) {
+	try {
+		await replaceAll(STORES.INVENTORY, records);
+		saveMeta(meta, records.length);
 	} catch (e) {
 		console.warn('Failed to save cache to storage:', e);
 	}
 }
 
-function clearStorage() {
+// Write only what changed between two versions of the record list
+async function saveChanges(before, after, meta) {
 	try {
-		localStorage.removeItem(CACHE_KEY);
+		const previous = new Set(before);
+		const keptIds = new Set(after.map(r => r.id));
+
+		// Unchanged records keep their object identity, so anything new was touched
+		await bulkAdd(STORES.INVENTORY, after.filter(r => !previous.has(r)));
+		for (const record of before) {
+			if (!keptIds.has(record.id)) {
+				await remove(STORES.INVENTORY, record.id);
+			}
+		}
+
+		saveMeta(meta, after.length);
+	} catch (e) {
+		console.warn('Failed to save cache changes:', e);
+	}
+}
+
+async function clearStorage() {
+	try {
+		await clear(STORES.INVENTORY);
 		localStorage.removeItem(CACHE_META_KEY);
 	} catch (e) {
 		console.warn('Failed to clear cache:', e);
@@ -93,19 +284,24 @@ function clearStorage() {
 
 // Create the main store
 function createCacheStore() {
-	// Start with cached data if available
-	const initialCache = loadFromStorage();
-
+	// Cached records are loaded asynchronously in initialize()
 	/** @type {import('svelte/store').Writable<CacheState>} */
 	const { subscribe, set, update } = writable({
-		records: initialCache.records,
+		records: [],
 		loading: false,
 		syncing: false,
 		error: '',
-		meta: initialCache.meta
+		pendingCount: 0,
+		conflicts: [],
+		progress: null,
+		lastBulk: null,
+		meta: emptyMeta()
 	});
 
 	let syncInterval = null;
+	/** @type {BulkChange[]|null} */
+	let bulkUndo = null; // Reverse changes of the last bulk operation
+	let removeOutboxListener = null;
 	let partnerMap = new Map();
 
 	// Helper to resolve partner names (if your model has Many2one fields to res.partner)
@@ -165,81 +361,116 @@ function createCacheStore() {
 		}
 	}
 
+	// Make sure every location/category referenced by a record is in its lookup store
+	async function resolveLookups(records) {
+		await Promise.all(Object.entries(many2oneLookups()).map(([field, lookup]) =>
+			lookup.ensure(records.map(r => many2oneId(r[field])))
+		));
+	}
+
+	// Read every record, a page at a time, and report progress. Pages continue after
+	// the last id seen instead of using an offset, so records created or deleted
+	// meanwhile can't shift a page.
+	async function fetchAllRecords(fields) {
+		const total = await odooClient.countRecords(MODEL, []);
+		const records = [];
+		update(state => ({ ...state, progress: { loaded: 0, total } }));
+
+		try {
+			for (;;) {
+				const lastId = records.length > 0 ? records[records.length - 1].id : 0;
+				const page = await odooClient.searchRecords(MODEL, [['id', '>', lastId]], fields, {
+					limit: FETCH_PAGE_SIZE,
+					order: 'id asc'
+				});
+				records.push(...page);
+				update(state => ({
+					...state,
+					progress: { loaded: records.length, total: Math.max(total, records.length) }
+				}));
+				if (page.length < FETCH_PAGE_SIZE) break;
+			}
+		} finally {
+			update(state => ({ ...state, progress: null }));
+		}
+
+		return records;
+	}
+
 	// Sync function - fetches new data from server
 	async function sync(forceFullRefresh = false) {
 		// Only show syncing indicator, don't set loading
 		update(state => ({ ...state, syncing: true, error: '' }));
 
 		try {
-			const fields = [
-				'id',
-				'x_name',
-				'x_studio_items_count',
-				'x_studio_expiry_date',
-				// Add all fields from your Odoo model here
-			];
+			// Send queued local changes before reading server state
+			if (isOnline()) {
+				await flush();
+			}
 
-			let currentState;
-			subscribe(s => currentState = s)();
+			// Every field in the schema, so fields added in Studio are synced too
+			const fields = syncFields(get(inventorySchema));
 
-			let domain = [];
-			let fetchedRecords = [];
+			const currentState = getState();
 
-			if (!forceFullRefresh && currentState.meta.lastRecordId > 0) {
-				// Incremental fetch - get only new records
-				domain = [['id', '>', currentState.meta.lastRecordId]];
+			const lastWriteDate = currentState.meta.lastWriteDate;
+			// Cached records lack values of fields that are new since they were read
+			const sameFields = fields.every(field => (currentState.meta.fields || []).includes(field));
+			let mergedRecords = null;
 
+			if (!forceFullRefresh && lastWriteDate && sameFields) {
 				try {
-					fetchedRecords = await odooClient.searchRecords('x_inventory', domain, fields);
+					// Delta fetch: everything written since the last sync (>= because write_date
+					// only has second precision), plus the bare id list to spot deletions.
+					// Archived records drop out of the id search too, so they disappear locally.
+					// Both go out in a single batch request.
+					const [changed, existing] = await odooClient.batch([
+						{ action: 'search', data: { model: MODEL, domain: [['write_date', '>=', lastWriteDate]], fields } },
+						{ action: 'search_ids', data: { model: MODEL, domain: [] } }
+					]);
+					if (!changed.success || !existing.success) {
+						throw new Error(changed.error || existing.error);
+					}
+					mergedRecords = mergeDelta(currentState.records, changed.results, existing.ids);
 				} catch (err) {
-					console.warn('Incremental fetch failed, falling back to full fetch:', err);
-					forceFullRefresh = true;
+					console.warn('Delta fetch failed, falling back to full fetch:', err);
 				}
 			}
 
-			if (forceFullRefresh || currentState.meta.lastRecordId === 0) {
-				// Full refresh
-				fetchedRecords = await odooClient.searchRecords('x_inventory', [], fields);
+			if (!mergedRecords) {
+				// Full refresh - replace all records
+				mergedRecords = await fetchAllRecords(fields);
 			}
 
-			// Merge or replace records
-			let mergedRecords;
-			if (forceFullRefresh || currentState.meta.lastRecordId === 0) {
-				// Replace all records
-				mergedRecords = fetchedRecords;
-			} else {
-				// Merge new records with existing ones
-				const existingIds = new Set(currentState.records.map(r => r.id));
-				const newRecords = fetchedRecords.filter(r => !existingIds.has(r.id));
-				mergedRecords = [...currentState.records, ...newRecords];
-			}
+			// Keep changes that are still waiting in the outbox
+			const pending = await getPending();
+			mergedRecords = applyPendingEntries(mergedRecords, pending);
 
 			// Sort by ID to ensure consistent ordering
-			mergedRecords.sort((a, b) => a.id - b.id);
+			mergedRecords.sort(compareRecordIds);
 
 			// Resolve partner names if needed
 			const recordsWithNames = await resolvePartnerNames(mergedRecords);
+			await resolveLookups(recordsWithNames);
 
 			// Calculate new metadata
-			const lastRecordId = recordsWithNames.length > 0
-				? Math.max(...recordsWithNames.map(r => r.id))
-				: 0;
-
 			const newMeta = {
 				lastSyncTime: Date.now(),
-				lastRecordId,
+				lastWriteDate: latestWriteDate(recordsWithNames) || lastWriteDate,
 				recordCount: recordsWithNames.length,
+				fields,
 				isStale: false
 			};
 
 			// Save to storage
-			saveToStorage(recordsWithNames, newMeta);
+			await saveToStorage(recordsWithNames, newMeta);
 
 			// Update store
 			update(state => ({
 				...state,
 				records: recordsWithNames,
 				meta: newMeta,
+				pendingCount: pending.length,
 				syncing: false,
 				error: ''
 			}));
@@ -249,14 +480,27 @@ function createCacheStore() {
 			update(state => ({
 				...state,
 				syncing: false,
-				error: error.message || 'Failed to sync data'
+				error: describeError(error) || 'Failed to sync data'
 			}));
 		}
 	}
 
 	// Initial load - show cached data immediately, then sync in background
 	async function initialize() {
-		const currentState = loadFromStorage();
+		// Before any record is looked up: ids may still be temp ids from an earlier session
+		await loadResolvedIds();
+		const currentState = await loadFromStorage();
+
+		if (!removeOutboxListener) {
+			removeOutboxListener = addOutboxListener(handleOutboxEvent);
+		}
+
+		// Lookup lists are small; refresh them alongside the records
+		locations.load();
+		categories.load();
+		// The schema decides which fields are synced, so it comes first
+		await inventorySchema.load();
+		await refreshPendingCount();
 
 		if (currentState.records.length > 0) {
 			// Show cached data immediately (no loading state)
@@ -269,8 +513,8 @@ function createCacheStore() {
 				meta: currentState.meta
 			}));
 
-			// Then sync in the background if stale
-			if (currentState.meta.isStale) {
+			// Then sync in the background if stale or if changes are waiting
+			if (currentState.meta.isStale || getState().pendingCount > 0) {
 				sync();
 			}
 		} else {
@@ -286,8 +530,14 @@ function createCacheStore() {
 		}
 
 		syncInterval = setInterval(() => {
-			sync();
+			if (isOnline()) {
+				sync();
+			}
 		}, SYNC_INTERVAL_MS);
+
+		// Replay the outbox as soon as connectivity returns
+		window.removeEventListener('online', handleOnline);
+		window.addEventListener('online', handleOnline);
 	}
 
 	// Clean up function
@@ -296,50 +546,219 @@ function createCacheStore() {
 			clearInterval(syncInterval);
 			syncInterval = null;
 		}
+		window.removeEventListener('online', handleOnline);
+		if (removeOutboxListener) {
+			removeOutboxListener();
+			removeOutboxListener = null;
+		}
 	}
 
 	// Force refresh function
 	async function forceRefresh() {
-		clearStorage();
+		await clearStorage();
 		partnerMap.clear();
+		await Promise.all([locations.load(), categories.load(), inventorySchema.load()]);
 		await sync(true);
 	}
 
+	// Read the current state synchronously
+	function getState() {
+		return get({ subscribe });
+	}
+
+	// Apply a local change to the record list and persist just the touched records
+	async function updateRecords(applyLocal) {
+		const before = getState().records;
+		const after = applyLocal(before);
+		update(state => ({ ...state, records: after }));
+		await saveChanges(before, after, getState().meta);
+	}
+
+	async function refreshPendingCount() {
+		try {
+			const pending = await getPending();
+			update(state => ({ ...state, pendingCount: pending.length }));
+		} catch (e) {
+			console.warn('Failed to read outbox:', e);
+		}
+	}
+
+	// Replay queued changes if we can reach the server; otherwise they wait for the 'online' event.
+	// The server's answers update the touched records, so no full sync is needed per change.
+	async function pushChanges() {
+		await refreshPendingCount();
+		if (isOnline()) {
+			await flush();
+			await refreshPendingCount();
+		}
+	}
+
+	// Apply a change locally, queue it for the server and try to send it.
+	// A count change is queued together with its movement.
+	async function mutate(entry, applyLocal, movement = null) {
+		await updateRecords(applyLocal);
+		await enqueue({ model: MODEL, ...entry });
+		if (movement) {
+			await recordMovement(movement);
+		}
+		await pushChanges();
+	}
+
+	function findRecord(id) {
+		return getState().records.find(r => r.id === id);
+	}
+
+	function countOf(record) {
+		return Math.max(0, Number(record?.x_studio_items_count) || 0);
+	}
+
+	// Movement of a record's count, with the price and expiry date it had at the time
+	function movementOf(id, record, delta, reason) {
+		return {
+			inventoryId: id,
+			name: record.x_name,
+			delta,
+			reason,
+			unitPrice: Number(record.x_studio_unit_price) || 0,
+			expiryDate: record.x_studio_expiry_date || false
+		};
+	}
+
+	// Swap a temp id for the real Odoo id once its create has been replayed
+	async function handleOutboxEvent(event) {
+		await handleMovementEvent(event);
+		if (event.entry.model !== MODEL) return;
+
+		if (event.type === 'created') {
+			const tempId = event.entry.recordId;
+			await updateRecords(records =>
+				records.map(r => r.id === tempId ? { ...r, id: event.id, write_date: event.writeDate } : r)
+			);
+		} else if (event.type === 'applied') {
+			const { entry, result } = event;
+			const changes = result.write_date ? { write_date: result.write_date } : {};
+			if (entry.action === 'adjust') {
+				// The server's value includes adjustments made by others meanwhile
+				const [field] = Object.keys(entry.values || {});
+				changes[field] = result.value;
+			}
+
+			// Re-apply what is still queued for the record on top of the server's answer
+			const stillPending = (await getPending()).filter(e => e.recordId === entry.recordId);
+			await updateRecords(records => applyPendingEntries(
+				records.map(r => r.id === entry.recordId ? { ...r, ...changes } : r),
+				stillPending
+			));
+		} else if (event.type === 'conflict') {
+			const { entry, current } = event;
+			const id = Number(entry.recordId);
+
+			update(state => {
+				// Keep every field from earlier conflicting edits on the same record
+				const earlier = state.conflicts.find(c => c.id === id);
+				return {
+					...state,
+					conflicts: [
+						...state.conflicts.filter(c => c.id !== id),
+						{ id, mine: { ...earlier?.mine, ...entry.values }, theirs: current }
+					]
+				};
+			});
+
+			// Show the winning server version until the user picks a side
+			await updateRecords(records =>
+				records.map(r => r.id === id ? { ...r, ...current } : r)
+			);
+		} else if (event.type === 'failed') {
+			const { entry, error } = event;
+			update(state => ({ ...state, error: `Failed to sync change: ${describeError(error)}` }));
+
+			// A create the server keeps rejecting will never get a real id
+			if (entry.action === 'create') {
+				await updateRecords(records => records.filter(r => r.id !== entry.recordId));
+			}
+		}
+	}
+
+	// Back online: send what was queued and catch up on changes made elsewhere
+	function handleOnline() {
+		sync();
+	}
+
 	// Create a new record
 	async function createRecord(fields) {
 		try {
-			const id = await odooClient.createRecord('x_inventory', fields);
+			const tempId = generateTempId();
+			const values = toOdooValues(fields);
 
-			// Optimistically add to cache
-			const newRecord = { id, ...fields };
-			update(state => ({
-				...state,
-				records: [...state.records, newRecord]
-			}));
-
-			// Sync to get the full record with all fields
-			await sync();
+			// Show the record right away under its temp id
+			await mutate(
+				{ action: 'create', recordId: tempId, values },
+				records => [...records, { id: tempId, ...values }],
+				movementOf(tempId, values, countOf(values), 'restocked')
+			);
 
-			return id;
+			return resolveId(tempId);
 		} catch (error) {
 			console.error('Failed to create record:', error);
 			throw error;
 		}
 	}
 
-	// Update a record
-	async function updateRecord(id, values) {
+	// Create many records at once, e.g. from an import. Each chunk is shown and
+	// queued in one step; the outbox then sends everything in batch requests.
+	async function createRecords(fieldsList, onProgress = (done, total) => {}) {
 		try {
-			await odooClient.updateRecord('x_inventory', id, values);
+			const tempIds = [];
+
+			for (let i = 0; i < fieldsList.length; i += CREATE_CHUNK_SIZE) {
+				const chunk = fieldsList.slice(i, i + CREATE_CHUNK_SIZE).map(fields => ({
+					tempId: generateTempId(),
+					values: toOdooValues(fields)
+				}));
+
+				await updateRecords(records => [
+					...records,
+					...chunk.map(({ tempId, values }) => ({ id: tempId, ...values }))
+				]);
+				for (const { tempId, values } of chunk) {
+					await enqueue({ model: MODEL, action: 'create', recordId: tempId, values });
+					await recordMovement(movementOf(tempId, values, countOf(values), 'restocked'));
+					tempIds.push(tempId);
+				}
+				onProgress(tempIds.length, fieldsList.length);
+			}
 
-			// Optimistically update cache
-			update(state => ({
-				...state,
-				records: state.records.map(r => r.id === id ? { ...r, ...values } : r)
-			}));
+			await pushChanges();
+			return tempIds.map(resolveId);
+		} catch (error) {
+			console.error('Failed to create records:', error);
+			throw error;
+		}
+	}
 
-			// Sync to get the full updated record
-			await sync();
+	// write_date of the cached version, which a queued update must still match on the server
+	function getExpectedWriteDate(id) {
+		if (isTempId(id)) return undefined;
+		return getState().records.find(r => r.id === id)?.write_date || undefined;
+	}
+
+	// Update a record. Pass the write_date the changes were based on (e.g. when a form was
+	// opened) if the cached record may have moved on since; the server refuses them as a conflict
+	async function updateRecord(id, changes, expectedWriteDate = getExpectedWriteDate(id)) {
+		try {
+			const values = toOdooValues(changes);
+			const record = findRecord(id);
+			// Setting the count directly is a correction, e.g. after counting what is really left
+			const movement = 'x_studio_items_count' in values && record
+				? movementOf(id, { ...record, ...values }, countOf(values) - countOf(record), 'corrected')
+				: null;
+
+			await mutate(
+				{ action: 'update', recordId: id, values, expectedWriteDate },
+				records => records.map(r => r.id === id ? { ...r, ...values } : r),
+				movement
+			);
 
 			return true;
 		} catch (error) {
@@ -351,13 +770,18 @@ function createCacheStore() {
 	// Delete a record
 	async function deleteRecord(id) {
 		try {
-			await odooClient.deleteRecord('x_inventory', id);
+			if (isTempId(id)) {
+				// Never reached the server: forget its queued create and follow-ups
+				await discardRecord(id);
+				await updateRecords(records => records.filter(r => r.id !== id));
+				await refreshPendingCount();
+				return true;
+			}
 
-			// Optimistically remove from cache
-			update(state => ({
-				...state,
-				records: state.records.filter(r => r.id !== id)
-			}));
+			await mutate(
+				{ action: 'delete', recordId: id },
+				records => records.filter(r => r.id !== id)
+			);
 
 			return true;
 		} catch (error) {
@@ -366,41 +790,27 @@ function createCacheStore() {
 		}
 	}
 
+	// Change the item count by a delta; the server adds it to its own current value,
+	// so taps from several devices add up instead of overwriting each other
+	async function adjustItemCount(id, delta, reason) {
+		const record = findRecord(id);
+		// The count stops at zero, so taking from an empty item moves nothing
+		const moved = Math.max(0, countOf(record) + delta) - countOf(record);
+
+		await mutate(
+			{ action: 'adjust', recordId: id, values: { x_studio_items_count: delta } },
+			records => records.map(r =>
+				r.id === id ? applyDeltas(r, { x_studio_items_count: delta }) : r
+			),
+			record ? movementOf(id, record, moved, reason) : null
+		);
+		return countOf(findRecord(id));
+	}
+
 	// Increment item count
 	async function incrementItemCount(id) {
 		try {
-			let currentCount = 0;
-			let recordToUpdate = null;
-
-			// Get current count from cache
-			update(state => {
-				const record = state.records.find(r => r.id === id);
-				if (record) {
-					currentCount = Number(record.x_studio_items_count) || 0;
-					recordToUpdate = { ...record };
-				}
-				return state;
-			});
-
-			const newCount = currentCount + 1;
-
-			// Update in Odoo
-			await odooClient.updateRecord('x_inventory', id, {
-				x_studio_items_count: newCount
-			});
-
-			// Optimistically update cache
-			update(state => ({
-				...state,
-				records: state.records.map(r =>
-					r.id === id ? { ...r, x_studio_items_count: newCount } : r
-				)
-			}));
-
-			// Sync to get the full updated record
-			await sync();
-
-			return newCount;
+			return await adjustItemCount(id, 1, 'restocked');
 		} catch (error) {
 			console.error('Failed to increment item count:', error);
 			throw error;
@@ -410,74 +820,223 @@ function createCacheStore() {
 	// Decrement item count
 	async function decrementItemCount(id) {
 		try {
-			let currentCount = 0;
-			let recordToUpdate = null;
-
-			// Get current count from cache
-			update(state => {
-				const record = state.records.find(r => r.id === id);
-				if (record) {
-					currentCount = Number(record.x_studio_items_count) || 0;
-					recordToUpdate = { ...record };
-				}
-				return state;
-			});
-
-			// Don't allow negative counts
-			const newCount = Math.max(0, currentCount - 1);
-
-			// Update in Odoo
-			await odooClient.updateRecord('x_inventory', id, {
-				x_studio_items_count: newCount
-			});
-
-			// Optimistically update cache
-			update(state => ({
-				...state,
-				records: state.records.map(r =>
-					r.id === id ? { ...r, x_studio_items_count: newCount } : r
-				)
-			}));
-
-			// Sync to get the full updated record
-			await sync();
-
-			return newCount;
+			// The server clamps at zero, so negative counts are impossible
+			return await adjustItemCount(id, -1, 'consumed');
 		} catch (error) {
 			console.error('Failed to decrement item count:', error);
 			throw error;
 		}
 	}
 
+	// Add bought units, e.g. when an item is ticked off the shopping list
+	async function restockItem(id, quantity) {
+		try {
+			// Unticking a bought entry takes the units out again
+			return await adjustItemCount(id, quantity, quantity >= 0 ? 'restocked' : 'corrected');
+		} catch (error) {
+			console.error('Failed to restock item:', error);
+			throw error;
+		}
+	}
+
 	// Update item count to a specific value
 	async function updateItemCount(id, newCount) {
 		try {
 			// Ensure count is not negative
 			newCount = Math.max(0, newCount);
+			await updateRecord(id, { x_studio_items_count: newCount });
+			return newCount;
+		} catch (error) {
+			console.error('Failed to update item count:', error);
+			throw error;
+		}
+	}
 
-			// Update in Odoo
-			await odooClient.updateRecord('x_inventory', id, {
-				x_studio_items_count: newCount
-			});
+	// Find the cached record carrying a scanned barcode
+	function findByBarcode(code) {
+		const wanted = normalizeBarcode(code);
+		if (!wanted) return undefined;
+		return getState().records.find(r =>
+			r.x_studio_barcode && normalizeBarcode(r.x_studio_barcode) === wanted
+		);
+	}
 
-			// Optimistically update cache
-			update(state => ({
-				...state,
-				records: state.records.map(r =>
-					r.id === id ? { ...r, x_studio_items_count: newCount } : r
-				)
-			}));
+	// Use up one unit of an item
+	async function consumeItem(id) {
+		return decrementItemCount(id);
+	}
 
-			// Sync to get the full updated record
-			await sync();
+	// Throw an item away entirely
+	async function discardItem(id) {
+		const record = findRecord(id);
+		if (record) {
+			// Queued before the delete, so it still points at an existing record
+			await recordMovement(movementOf(id, record, -countOf(record), 'discarded'));
+		}
+		return deleteRecord(id);
+	}
 
-			return newCount;
+	// Values to create a deleted record again with: the fields a form can set
+	function recreateValues(record) {
+		const values = {};
+		for (const field of formFields(get(inventorySchema))) {
+			const value = record[field.name];
+			if (value !== undefined && value !== false && value !== null) {
+				values[field.name] = value;
+			}
+		}
+		return toOdooValues(values);
+	}
+
+	/**
+	 * Apply many changes as one step: the records are updated and saved once and
+	 * the outbox is sent once (in batch requests) instead of once per change
+	 * @param {BulkChange[]} changes
+	 * @returns {Promise<BulkChange[]>} - The changes that take it all back again
+	 */
+	async function applyBulk(changes) {
+		/** @type {Map<number|string, Record<string, any>>} */
+		const byId = new Map(getState().records.map(r => [r.id, r]));
+		/** @type {Omit<import('$lib/outbox').OutboxEntry, 'model'|'createdAt'|'attempts'>[]} */
+		const entries = [];
+		const movements = [];
+		// Queued before the deletes, so they still point at existing records (see discardItem)
+		const discardMovements = [];
+		/** @type {string[]} */
+		const discarded = [];
+		/** @type {BulkChange[]} */
+		const inverse = [];
+
+		for (const change of changes) {
+			if (change.action === 'create') {
+				const tempId = generateTempId();
+				entries.push({ action: 'create', recordId: tempId, values: change.values });
+				byId.set(tempId, { id: tempId, ...change.values });
+				inverse.unshift({ action: 'delete', id: tempId });
+				continue;
+			}
+
+			// Ids may be temp ids whose create has been sent since
+			const id = resolveId(change.id);
+			const record = byId.get(id);
+			if (!record) continue;
+
+			if (change.action === 'update') {
+				const values = toOdooValues(change.values);
+				const previous = Object.fromEntries(Object.keys(values).map(field => [field, record[field] ?? false]));
+				entries.push({ action: 'update', recordId: id, values, expectedWriteDate: getExpectedWriteDate(id) });
+				if ('x_studio_items_count' in values) {
+					const updated = { ...record, ...values };
+					movements.push(movementOf(id, updated, countOf(updated) - countOf(record), 'corrected'));
+				}
+				byId.set(id, { ...record, ...values });
+				inverse.unshift({ action: 'update', id, values: toOdooValues(previous) });
+			} else if (change.action === 'adjust') {
+				// Like a tap, the server adds the delta to its own count; undo takes back what really moved
+				const moved = Math.max(0, countOf(record) + change.delta) - countOf(record);
+				if (moved === 0) continue;
+				entries.push({ action: 'adjust', recordId: id, values: { x_studio_items_count: change.delta } });
+				movements.push(movementOf(id, record, moved, change.reason));
+				byId.set(id, applyDeltas(record, { x_studio_items_count: change.delta }));
+				inverse.unshift({ action: 'adjust', id, delta: -moved, reason: change.reason });
+			} else if (change.action === 'delete') {
+				discardMovements.push(movementOf(id, record, -countOf(record), 'discarded'));
+				if (isTempId(id)) {
+					discarded.push(String(id));
+				} else {
+					entries.push({ action: 'delete', recordId: id });
+				}
+				byId.delete(id);
+				// Odoo can't bring a deleted record back, so undo creates it again. The new
+				// record gets a new id: the old one's movements stay with the deleted id
+				inverse.unshift({ action: 'create', values: recreateValues(record) });
+			}
+		}
+
+		await updateRecords(() => [...byId.values()]);
+		for (const movement of discardMovements) {
+			await recordMovement(movement);
+		}
+		for (const id of discarded) {
+			await discardRecord(id);
+		}
+		for (const entry of entries) {
+			await enqueue({ model: MODEL, ...entry });
+		}
+		for (const movement of movements) {
+			await recordMovement(movement);
+		}
+		await pushChanges();
+
+		return inverse;
+	}
+
+	// Run a bulk operation and keep it as the one that undoBulk() takes back
+	async function runBulk(label, changes) {
+		try {
+			const inverse = await applyBulk(changes);
+			bulkUndo = inverse;
+			update(state => ({ ...state, lastBulk: { label, count: inverse.length } }));
+			return inverse.length;
 		} catch (error) {
-			console.error('Failed to update item count:', error);
+			console.error(`Failed to apply bulk change (${label}):`, error);
 			throw error;
 		}
 	}
 
+	// Set the same values on many records, e.g. an expiry date or a location
+	async function bulkUpdateRecords(ids, changes) {
+		return runBulk('Updated', ids.map(id => ({ action: 'update', id, values: changes })));
+	}
+
+	// Add to (or take from) the count of many records, each clamped at zero
+	async function bulkAdjustCount(ids, delta, reason = 'corrected') {
+		return runBulk('Adjusted', ids.map(id => ({ action: 'adjust', id, delta, reason })));
+	}
+
+	async function bulkDeleteRecords(ids) {
+		return runBulk('Deleted', ids.map(id => ({ action: 'delete', id })));
+	}
+
+	// Take back the last bulk operation; deleted records come back under new ids
+	async function undoBulk() {
+		const changes = bulkUndo;
+		if (!changes) return 0;
+
+		bulkUndo = null;
+		update(state => ({ ...state, lastBulk: null }));
+		try {
+			await applyBulk(changes);
+			return changes.length;
+		} catch (error) {
+			console.error('Failed to undo bulk change:', error);
+			throw error;
+		}
+	}
+
+	// Settle a conflict: 'mine' re-sends our values on top of their version, 'theirs' keeps the server's
+	async function resolveConflict(id, choice) {
+		const conflict = getState().conflicts.find(c => c.id === id);
+		if (!conflict) return;
+
+		update(state => ({
+			...state,
+			conflicts: state.conflicts.filter(c => c.id !== id)
+		}));
+
+		if (choice === 'mine') {
+			await mutate(
+				{
+					action: 'update',
+					recordId: id,
+					values: conflict.mine,
+					expectedWriteDate: conflict.theirs.write_date
+				},
+				records => records.map(r => r.id === id ? { ...r, ...conflict.mine } : r)
+			);
+		}
+	}
+
 	return {
 		subscribe,
 		initialize,
@@ -485,11 +1044,21 @@ function createCacheStore() {
 		forceRefresh,
 		destroy,
 		createRecord,
+		createRecords,
 		updateRecord,
 		updateItemCount,
 		incrementItemCount,
 		decrementItemCount,
-		deleteRecord
+		restockItem,
+		deleteRecord,
+		consumeItem,
+		discardItem,
+		bulkUpdateRecords,
+		bulkAdjustCount,
+		bulkDeleteRecords,
+		undoBulk,
+		findByBarcode,
+		resolveConflict
 	};
 }
 
@@ -511,6 +1080,8 @@ export const cacheStatus = derived(
 		hasError: !!$cache.error,
 		error: $cache.error,
 		isStale: $cache.meta.isStale,
+		pendingCount: $cache.pendingCount,
+		progress: $cache.progress,
 		lastSync: $cache.meta.lastSyncTime,
 		recordCount: $cache.meta.recordCount
 	})
@@ -0,0 +1,120 @@
+// @ts-check
+import { writable, get } from 'svelte/store';
+import { odooClient } from '$lib/odoo';
+import { STORES, getAll, bulkAdd, replaceAll } from '$lib/db';
+import { many2oneId } from '$lib/inventoryUtils';
+
+/**
+ * @typedef {Object} LookupRecord
+ * @property {number} id
+ * @property {string} display_name
+ */
+
+/**
+ * @typedef {Object} LookupStore
+ * @property {import('svelte/store').Readable<LookupRecord[]>['subscribe']} subscribe
+ * @property {() => Promise<void>} load - Show the IndexedDB copy, then refresh from Odoo
+ * @property {(ids: Array<number|null>) => Promise<void>} ensure - Fetch ids we haven't seen yet
+ * @property {(value: any) => string} nameOf - Display name for a many2one value
+ */
+
+function isOnline() {
+	return typeof navigator === 'undefined' || navigator.onLine;
+}
+
+/**
+ * Create a cached list of a many2one target model (e.g. storage locations).
+ * Works like the partner lookup in inventoryCache: names come from searchModel
+ * and are kept in their own IndexedDB store for offline use.
+ * @param {string} model - Odoo model name
+ * @param {string|null} storeName - IndexedDB store from STORES, or null to keep the list in memory only
+ * @returns {LookupStore}
+ */
+function createLookupStore(model, storeName) {
+	/** @type {import('svelte/store').Writable<LookupRecord[]>} */
+	const store = writable([]);
+	const { subscribe, set } = store;
+
+	function sortByName(records) {
+		return [...records].sort((a, b) => a.display_name.localeCompare(b.display_name));
+	}
+
+	async function load() {
+		try {
+			const cached = storeName ? await getAll(storeName) : [];
+			if (cached.length > 0) {
+				set(sortByName(cached));
+			}
+		} catch (e) {
+			console.warn(`Failed to load cached ${model}:`, e);
+		}
+
+		if (!isOnline()) return;
+
+		try {
+			const records = await odooClient.searchModel(model, [], ['id', 'display_name']);
+			if (storeName) await replaceAll(storeName, records);
+			set(sortByName(records));
+		} catch (e) {
+			console.warn(`Failed to fetch ${model}:`, e);
+		}
+	}
+
+	async function ensure(ids) {
+		const known = new Set(get(store).map(r => r.id));
+		const missingIds = [...new Set(ids)].filter(id => id && !known.has(id));
+		if (missingIds.length === 0 || !isOnline()) return;
+
+		try {
+			const records = await odooClient.searchModel(
+				model,
+				[['id', 'in', missingIds]],
+				['id', 'display_name']
+			);
+			if (storeName) await bulkAdd(storeName, records);
+			set(sortByName([...get(store), ...records]));
+		} catch (e) {
+			console.warn(`Failed to resolve ${model} names:`, e);
+		}
+	}
+
+	function nameOf(value) {
+		const id = many2oneId(value);
+		if (!id) return '';
+		const found = get(store).find(r => r.id === id);
+		if (found) return found.display_name;
+		// Fall back to the name Odoo sent along in the [id, name] tuple
+		return Array.isArray(value) && value[1] ? String(value[1]) : `#${id}`;
+	}
+
+	return {
+		subscribe,
+		load,
+		ensure,
+		nameOf
+	};
+}
+
+export const locations = createLookupStore('x_location', STORES.LOCATIONS);
+export const categories = createLookupStore('x_category', STORES.CATEGORIES);
+
+/** @type {Record<string, LookupStore>} */
+const lookupsByModel = {
+	x_location: locations,
+	x_category: categories
+};
+
+/**
+ * Lookup store of a many2one target model. Models other than locations and
+ * categories (e.g. from a field added in Studio) get a list that is kept in
+ * memory and loaded on first use.
+ * @param {string} model
+ * @returns {LookupStore}
+ */
+export function lookupFor(model) {
+	if (!lookupsByModel[model]) {
+		lookupsByModel[model] = createLookupStore(model, null);
+		lookupsByModel[model].load();
+	}
+	return lookupsByModel[model];
+}
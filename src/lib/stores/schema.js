@@ -0,0 +1,56 @@
+// @ts-check
+import { writable } from 'svelte/store';
+import { odooClient } from '$lib/odoo';
+import { STORES, get, add } from '$lib/db';
+import { DEFAULT_FIELDS, normalizeSchema } from '$lib/schema';
+
+/**
+ * @typedef {Object} SchemaStore
+ * @property {import('svelte/store').Readable<import('$lib/schema').Schema>['subscribe']} subscribe
+ * @property {() => Promise<void>} load - Show the IndexedDB copy, then refresh from Odoo
+ */
+
+function isOnline() {
+	return typeof navigator === 'undefined' || navigator.onLine;
+}
+
+/**
+ * Create the field schema of a model. It starts out as DEFAULT_FIELDS, is
+ * replaced by the copy cached in IndexedDB and then by a fresh fields_get,
+ * so forms work offline and pick up Studio changes when online.
+ * @param {string} model - Odoo model name
+ * @returns {SchemaStore}
+ */
+function createSchemaStore(model) {
+	const { subscribe, set } = writable(DEFAULT_FIELDS);
+
+	async function load() {
+		try {
+			const cached = await get(STORES.SCHEMA, model);
+			if (cached) {
+				set(cached.fields);
+			}
+		} catch (e) {
+			console.warn(`Failed to load cached ${model} schema:`, e);
+		}
+
+		if (!isOnline()) return;
+
+		try {
+			const fields = normalizeSchema(await odooClient.getFields(model));
+			// An empty answer means the backend can't describe the model; keep what we have
+			if (Object.keys(fields).length === 0) return;
+			await add(STORES.SCHEMA, { model, fields, fetchedAt: Date.now() });
+			set(fields);
+		} catch (e) {
+			console.warn(`Failed to fetch ${model} schema:`, e);
+		}
+	}
+
+	return {
+		subscribe,
+		load
+	};
+}
+
+export const inventorySchema = createSchemaStore('x_inventory');
@@ -0,0 +1,295 @@
+// @ts-check
+import { writable, derived, get } from 'svelte/store';
+import { odooClient, describeError } from '$lib/odoo';
+import { generateTempId, isTempId, many2oneId, getRestockQuantity } from '$lib/inventoryUtils';
+import { inventoryCache } from '$lib/stores/inventoryCache';
+import { STORES, getAll, replaceAll } from '$lib/db';
+import {
+	enqueue,
+	flush,
+	getPending,
+	discardRecord,
+	resolveId,
+	loadResolvedIds,
+	addOutboxListener
+} from '$lib/outbox';
+
+/**
+ * Shopping List
+ *
+ * Manually added entries live in their own Odoo model and go through the same
+ * outbox as inventory changes, so the list works offline. Items that are low on
+ * stock are not stored; they are derived from the inventory cache (see
+ * restockSuggestions).
+ */
+
+const MODEL = 'x_shopping_item';
+
+const FIELDS = [
+	'id',
+	'x_name',
+	'x_studio_quantity',
+	'x_studio_bought',
+	'x_studio_inventory',
+	'write_date'
+];
+
+/**
+ * @typedef {Object} ShoppingItem
+ * @property {number|string} id - Odoo id, or a temp id while the create is still queued
+ * @property {string} x_name
+ * @property {number} x_studio_quantity
+ * @property {boolean} x_studio_bought
+ * @property {[number, string]|number|string|false} [x_studio_inventory] - many2one x_inventory restocked
+ *   when the entry is bought; a temp id while that item's create is still queued
+ * @property {string} [write_date]
+ */
+
+/**
+ * @typedef {Object} ShoppingState
+ * @property {ShoppingItem[]} items
+ * @property {boolean} loading
+ * @property {string} error
+ */
+
+function isOnline() {
+	return typeof navigator === 'undefined' || navigator.onLine;
+}
+
+/**
+ * Inventory record an entry restocks, if any
+ * @param {ShoppingItem} item
+ * @returns {number|string|null}
+ */
+export function linkedInventoryId(item) {
+	const value = item.x_studio_inventory;
+	if (typeof value === 'string' && isTempId(value)) return resolveId(value);
+	return many2oneId(value);
+}
+
+// Open entries first, each part in the order they were added
+function compareItems(a, b) {
+	if (!!a.x_studio_bought !== !!b.x_studio_bought) return a.x_studio_bought ? 1 : -1;
+	const aTemp = isTempId(a.id);
+	const bTemp = isTempId(b.id);
+	if (aTemp !== bTemp) return aTemp ? 1 : -1;
+	if (aTemp) return String(a.id).localeCompare(String(b.id));
+	return a.id - b.id;
+}
+
+// Re-apply queued changes on top of server data so unsynced edits don't flicker away
+function applyPendingEntries(items, pending) {
+	let result = items;
+	for (const entry of pending) {
+		if (entry.model !== MODEL) continue;
+
+		if (entry.action === 'create') {
+			if (!result.some(i => i.id === entry.recordId)) {
+				result = [...result, { id: entry.recordId, ...entry.values }];
+			}
+		} else if (entry.action === 'update') {
+			result = result.map(i => i.id === entry.recordId ? { ...i, ...entry.values } : i);
+		} else if (entry.action === 'delete') {
+			result = result.filter(i => i.id !== entry.recordId);
+		}
+	}
+	return result;
+}
+
+function createShoppingStore() {
+	/** @type {import('svelte/store').Writable<ShoppingState>} */
+	const { subscribe, update } = writable({
+		items: [],
+		loading: false,
+		error: ''
+	});
+
+	let removeOutboxListener = null;
+
+	function getState() {
+		return get({ subscribe });
+	}
+
+	// The list is short, so every change rewrites the whole IndexedDB copy
+	async function setItems(items) {
+		const sorted = [...items].sort(compareItems);
+		update(state => ({ ...state, items: sorted }));
+		try {
+			await replaceAll(STORES.SHOPPING, sorted);
+		} catch (e) {
+			console.warn('Failed to save shopping list:', e);
+		}
+	}
+
+	// Show the IndexedDB copy, then send queued changes and fetch the server's list
+	async function load() {
+		if (!removeOutboxListener) {
+			removeOutboxListener = addOutboxListener(handleOutboxEvent);
+		}
+
+		try {
+			await loadResolvedIds();
+			const cached = await getAll(STORES.SHOPPING);
+			update(state => ({ ...state, items: cached.sort(compareItems) }));
+		} catch (e) {
+			console.warn('Failed to load cached shopping list:', e);
+		}
+
+		if (!isOnline()) return;
+
+		update(state => ({ ...state, loading: getState().items.length === 0, error: '' }));
+		try {
+			await flush();
+			const items = await odooClient.searchRecords(MODEL, [], FIELDS);
+			await setItems(applyPendingEntries(items, await getPending()));
+			update(state => ({ ...state, loading: false }));
+		} catch (error) {
+			console.error('Failed to load shopping list:', error);
+			update(state => ({
+				...state,
+				loading: false,
+				error: describeError(error) || 'Failed to load shopping list'
+			}));
+		}
+	}
+
+	function destroy() {
+		if (removeOutboxListener) {
+			removeOutboxListener();
+			removeOutboxListener = null;
+		}
+	}
+
+	// Apply a change locally, queue it and try to send it. Entries have no
+	// conflict check: the last change to an entry wins.
+	async function mutate(entry, applyLocal) {
+		await setItems(applyLocal(getState().items));
+		await enqueue({ model: MODEL, ...entry });
+		if (isOnline()) {
+			await flush();
+		}
+	}
+
+	async function handleOutboxEvent(event) {
+		if (event.entry.model !== MODEL) return;
+
+		if (event.type === 'created') {
+			const tempId = event.entry.recordId;
+			await setItems(getState().items.map(i =>
+				i.id === tempId ? { ...i, id: event.id, write_date: event.writeDate } : i
+			));
+		} else if (event.type === 'applied') {
+			const { entry, result } = event;
+			if (result.write_date) {
+				await setItems(getState().items.map(i =>
+					i.id === entry.recordId ? { ...i, write_date: result.write_date } : i
+				));
+			}
+		} else if (event.type === 'failed') {
+			const { entry, error } = event;
+			update(state => ({ ...state, error: `Failed to sync shopping list: ${describeError(error)}` }));
+
+			if (entry.action === 'create') {
+				await setItems(getState().items.filter(i => i.id !== entry.recordId));
+			}
+		}
+	}
+
+	/**
+	 * Add an entry by hand
+	 * @param {{ name: string, quantity?: number, inventoryId?: number|string|null }} item
+	 */
+	async function addItem({ name, quantity = 1, inventoryId = null }) {
+		const tempId = generateTempId();
+		const values = {
+			x_name: name,
+			x_studio_quantity: Math.max(1, Number(quantity) || 1),
+			x_studio_bought: false,
+			// Temp ids are kept as they are; the outbox swaps in the real id once it exists
+			x_studio_inventory: isTempId(inventoryId) ? inventoryId : odooClient.formatMany2one(inventoryId)
+		};
+
+		await mutate(
+			{ action: 'create', recordId: tempId, values },
+			items => [...items, { id: tempId, ...values }]
+		);
+	}
+
+	/**
+	 * Tick an entry off (or back on). A linked inventory item gets the bought
+	 * quantity added, or taken away again when the tick is undone.
+	 * @param {number|string} id
+	 * @param {boolean} bought
+	 */
+	async function setBought(id, bought) {
+		const item = getState().items.find(i => i.id === id);
+		if (!item || !!item.x_studio_bought === bought) return;
+
+		await mutate(
+			{ action: 'update', recordId: id, values: { x_studio_bought: bought } },
+			items => items.map(i => i.id === id ? { ...i, x_studio_bought: bought } : i)
+		);
+
+		const inventoryId = linkedInventoryId(item);
+		// The item may have been deleted since the entry was made
+		if (inventoryId && get(inventoryCache).records.some(r => r.id === inventoryId)) {
+			const quantity = Number(item.x_studio_quantity) || 1;
+			await inventoryCache.restockItem(inventoryId, bought ? quantity : -quantity);
+		}
+	}
+
+	/**
+	 * @param {number|string} id
+	 */
+	async function removeItem(id) {
+		if (typeof id === 'string' && isTempId(id)) {
+			// Never reached the server: forget its queued create and follow-ups
+			await discardRecord(id);
+			await setItems(getState().items.filter(i => i.id !== id));
+			return;
+		}
+
+		await mutate(
+			{ action: 'delete', recordId: id },
+			items => items.filter(i => i.id !== id)
+		);
+	}
+
+	// Remove every ticked-off entry
+	async function clearBought() {
+		for (const item of getState().items.filter(i => i.x_studio_bought)) {
+			await removeItem(item.id);
+		}
+	}
+
+	return {
+		subscribe,
+		load,
+		destroy,
+		addItem,
+		setBought,
+		removeItem,
+		clearBought
+	};
+}
+
+export const shoppingList = createShoppingStore();
+
+/**
+ * Inventory items that ran out or dropped below their minimum quantity, with the
+ * number of units to buy. Items that already have an open manual entry are left out.
+ */
+export const restockSuggestions = derived(
+	[inventoryCache, shoppingList],
+	([$cache, $shopping]) => {
+		const listed = new Set(
+			$shopping.items.filter(i => !i.x_studio_bought).map(linkedInventoryId).filter(Boolean)
+		);
+
+		return $cache.records
+			.filter(record => !listed.has(record.id))
+			.map(record => ({ record, quantity: getRestockQuantity(record) }))
+			.filter(suggestion => suggestion.quantity > 0)
+			.sort((a, b) => a.record.x_name.localeCompare(b.record.x_name));
+	}
+);
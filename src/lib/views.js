@@ -0,0 +1,192 @@
+// @ts-check
+
+/**
+ * List Views
+ *
+ * A view is the list page's search, filters and sort order. It maps to an Odoo
+ * domain (see filterByDomain), round-trips through the URL query string so it
+ * can be bookmarked, and can be saved under a name in the config store.
+ */
+
+import { loadSetting, saveSetting, SETTINGS } from '$lib/settings';
+import { andDomains, orDomains, buildSearchDomain, sortRecords, lowStockDomain } from '$lib/inventoryUtils';
+
+/**
+ * @typedef {'expired'|'low'|'noexpiry'} StatusFilter
+ */
+
+/**
+ * @typedef {Object} ListView
+ * @property {string} search
+ * @property {number|null} location - x_location id
+ * @property {number|null} category - x_category id
+ * @property {StatusFilter[]} status - Any of these (they are alternatives, like one Odoo filter group)
+ * @property {'added'|'name'|'count'|'expiry'} sort
+ * @property {'asc'|'desc'} order
+ */
+
+/**
+ * @typedef {ListView & { name: string }} SavedView
+ */
+
+export const SORT_OPTIONS = {
+	added: { label: 'Added', field: null },
+	name: { label: 'Name', field: 'x_name' },
+	count: { label: 'Count', field: 'x_studio_items_count' },
+	expiry: { label: 'Expiry', field: 'x_studio_expiry_date' }
+};
+
+export const STATUS_FILTERS = {
+	expired: '⚠️ Expired',
+	low: '📉 Low stock',
+	noexpiry: '∞ No expiry date'
+};
+
+/**
+ * @returns {ListView}
+ */
+export function defaultView() {
+	return { search: '', location: null, category: null, status: [], sort: 'added', order: 'asc' };
+}
+
+/**
+ * Local date as an Odoo date string
+ * @param {Date} date
+ */
+function toDateString(date) {
+	const pad = (n) => String(n).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @param {StatusFilter} status
+ * @param {string} today - 'YYYY-MM-DD'
+ * @param {any[]} records
+ * @returns {any[]}
+ */
+function statusDomain(status, today, records) {
+	switch (status) {
+		case 'expired':
+			return [['x_studio_expiry_date', '<', today]];
+		case 'low':
+			// Low stock is what the shopping list restocks (see isLowStock)
+			return lowStockDomain(records.map((record) => Number(record.x_studio_min_quantity) || 0));
+		case 'noexpiry':
+			return [['x_studio_expiry_date', '=', false]];
+		default:
+			return [];
+	}
+}
+
+/**
+ * Odoo domain selecting the records of a view
+ * @param {ListView} view
+ * @param {Date} [today]
+ * @param {string[]} [searchFields] - Fields the search text is looked for in
+ * @param {any[]} [records] - Records whose minimum quantities the low stock filter covers
+ * @returns {any[]}
+ */
+export function viewDomain(view, today = new Date(), searchFields = ['x_name', 'x_studio_barcode'], records = []) {
+	const statuses = view.status.map((status) => statusDomain(status, toDateString(today), records));
+
+	return andDomains(
+		buildSearchDomain(view.search, searchFields),
+		view.location ? [['x_studio_location', '=', view.location]] : [],
+		view.category ? [['x_studio_category', '=', view.category]] : [],
+		// Status filters are alternatives: "expired or low stock"
+		statuses.length > 0 ? orDomains(...statuses) : []
+	);
+}
+
+/**
+ * Records in the view's order ('added' keeps the cache's id order)
+ * @param {any[]} records
+ * @param {ListView} view
+ * @returns {any[]}
+ */
+export function sortView(records, view) {
+	const field = SORT_OPTIONS[view.sort]?.field;
+	if (!field) {
+		return view.order === 'desc' ? [...records].reverse() : records;
+	}
+	return sortRecords(records, field, view.order);
+}
+
+/**
+ * @param {ListView} a
+ * @param {ListView} b
+ */
+export function sameView(a, b) {
+	return viewToQuery(a) === viewToQuery(b);
+}
+
+/**
+ * Query string for a view; default values are left out
+ * @param {ListView} view
+ * @param {string} [name] - Saved view name, shown for bookmarks of saved views
+ * @returns {string}
+ */
+export function viewToQuery(view, name) {
+	const params = new URLSearchParams();
+	if (name) params.set('view', name);
+	if (view.search.trim()) params.set('q', view.search.trim());
+	if (view.location) params.set('location', String(view.location));
+	if (view.category) params.set('category', String(view.category));
+	if (view.status.length > 0) params.set('status', [...view.status].sort().join(','));
+	if (view.sort !== 'added') params.set('sort', view.sort);
+	if (view.order !== 'asc') params.set('order', view.order);
+	return params.toString();
+}
+
+/**
+ * Read a view back from the query string, ignoring anything unknown
+ * @param {URLSearchParams} params
+ * @returns {ListView}
+ */
+export function viewFromQuery(params) {
+	const view = defaultView();
+	const id = (value) => (Number(value) > 0 ? Number(value) : null);
+
+	view.search = params.get('q') || '';
+	view.location = id(params.get('location'));
+	view.category = id(params.get('category'));
+	view.status = /** @type {StatusFilter[]} */ (
+		(params.get('status') || '').split(',').filter((s) => s in STATUS_FILTERS)
+	);
+
+	const sort = params.get('sort');
+	if (sort && sort in SORT_OPTIONS) view.sort = /** @type {ListView['sort']} */ (sort);
+	if (params.get('order') === 'desc') view.order = 'desc';
+	return view;
+}
+
+/**
+ * @returns {Promise<SavedView[]>}
+ */
+export async function loadSavedViews() {
+	return loadSetting(SETTINGS.LIST_VIEWS, []);
+}
+
+/**
+ * Save a view under a name, replacing a view of the same name
+ * @param {string} name
+ * @param {ListView} view
+ * @returns {Promise<SavedView[]>} - All saved views
+ */
+export async function saveView(name, view) {
+	const views = (await loadSavedViews()).filter((v) => v.name !== name);
+	views.push({ ...view, status: [...view.status], name });
+	views.sort((a, b) => a.name.localeCompare(b.name));
+	await saveSetting(SETTINGS.LIST_VIEWS, views);
+	return views;
+}
+
+/**
+ * @param {string} name
+ * @returns {Promise<SavedView[]>} - Remaining saved views
+ */
+export async function deleteView(name) {
+	const views = (await loadSavedViews()).filter((v) => v.name !== name);
+	await saveSetting(SETTINGS.LIST_VIEWS, views);
+	return views;
+}
@@ -0,0 +1,63 @@
+import { json } from '@sveltejs/kit';
+import { authenticateUser, isAuthEnabled } from '$lib/server/auth';
+import { startSession, endSession } from '$lib/server/session';
+import { OdooError } from '$lib/server/odoo';
+
+// The session differs per request, so never bake a response in at build time
+export const prerender = false;
+
+/**
+ * Current session
+ * @type {import('./$types').RequestHandler}
+ */
+export async function GET({ locals }) {
+	if (!isAuthEnabled()) {
+		return json({ success: true, user: null, authEnabled: false });
+	}
+	if (!locals.user) {
+		return json({ success: false, error: 'Not logged in', code: 'unauthorized' }, { status: 401 });
+	}
+	return json({ success: true, user: locals.user, authEnabled: true });
+}
+
+/** @type {import('./$types').RequestHandler} */
+export async function POST({ request, cookies }) {
+	try {
+		const { action, data = {} } = await request.json();
+
+		switch (action) {
+			case 'login': {
+				const user = await authenticateUser(String(data.login || '').trim(), String(data.password || ''));
+				if (!user) {
+					return json(
+						{ success: false, error: 'Wrong login or password', code: 'invalid_credentials' },
+						{ status: 401 }
+					);
+				}
+				await startSession(cookies, user);
+				return json({ success: true, user });
+			}
+
+			case 'logout':
+				endSession(cookies);
+				return json({ success: true });
+
+			default:
+				return json({ success: false, error: 'Invalid action', code: 'invalid_request' }, { status: 400 });
+		}
+	} catch (error) {
+		if (error instanceof OdooError) {
+			return json({ success: false, error: error.message, code: error.code }, { status: error.status });
+		}
+
+		console.error('Auth Error:', error);
+		return json(
+			{
+				success: false,
+				error: error instanceof Error ? error.message : 'Unknown error',
+				code: 'error'
+			},
+			{ status: 500 }
+		);
+	}
+}
@@ -1,134 +1,389 @@
 import { json } from '@sveltejs/kit';
+import { env } from '$env/dynamic/private';
+import { OdooError } from '$lib/server/odoo';
+import { getBackend } from '$lib/server/backends';
+import { isAuthEnabled } from '$lib/server/auth';
 import {
-	ODOO_URL,
-	ODOO_DB,
-	ODOO_USERNAME,
-	ODOO_API_KEY
-} from '$env/static/private';
+	authorize,
+	scopeDomain,
+	scopeFields,
+	scopeValues,
+	inScope,
+	userField,
+	isAttributed,
+	PolicyError,
+	PRIMARY_MODEL
+} from '$lib/server/policy';
+import { getPrimarySchema } from '$lib/server/schema';
 
-/** @type {number|null} */
-let cachedUid = null;
+const ATTRIBUTION_FIELD = env.ODOO_ATTRIBUTION_FIELD || '';
 
 /**
- * Make JSON-RPC call to Odoo
- * @param {string} service
- * @param {string} method
- * @param {any[]} args
+ * Writes go through the service account, so record which member made them.
+ * Only models that have the field get it (see ModelPolicy.attributed).
+ * @param {string} model
+ * @param {Record<string, any>} values
+ * @param {App.Locals['user']} user
+ * @returns {Record<string, any>}
  */
-async function callOdoo(service, method, args) {
-	const response = await fetch(`${ODOO_URL}/jsonrpc`, {
-		method: 'POST',
-		headers: {
-			'Content-Type': 'application/json'
-		},
-		body: JSON.stringify({
-			jsonrpc: '2.0',
-			method: 'call',
-			params: {
-				service: service,
-				method: method,
-				args: args
-			},
-			id: Math.floor(Math.random() * 1000000)
-		})
-	});
+function attribute(model, values, user) {
+	if (!ATTRIBUTION_FIELD || !user || !isAttributed(model)) return values;
+	return { ...values, [ATTRIBUTION_FIELD]: user.name };
+}
+
+/**
+ * Fill the model's member field on create. Clients can't write it themselves,
+ * so the name always comes from the session.
+ * @param {string} model
+ * @param {Record<string, any>} values
+ * @param {App.Locals['user']} user
+ * @returns {Record<string, any>}
+ */
+function stampUser(model, values, user) {
+	const field = userField(model);
+	if (!field || !user) return values;
+	return { ...values, [field]: user.name };
+}
 
-	const data = await response.json();
+/**
+ * Make sure an id-based call targets a record inside the model's domain restriction
+ * @param {string} model
+ * @param {number} id
+ */
+async function assertInScope(model, id) {
+	const domain = scopeDomain(model);
+	if (domain.length === 0) return;
 
-	if (data.error) {
-		throw new Error(data.error.data?.message || data.error.message || 'Odoo API Error');
+	const count = await getBackend().count(model, [['id', '=', id], ...domain]);
+	if (!count) {
+		throw new PolicyError(`Record ${id} is outside the allowed scope of ${model}`, { model, id });
 	}
-
-	return data.result;
 }
 
 /**
- * Authenticate with Odoo and get UID
+ * Make sure a write leaves the record inside the model's domain restriction,
+ * e.g. doesn't move it to another household
+ * @param {string} model
+ * @param {number} id
+ * @param {Record<string, any>} values - Values about to be written
  */
-async function authenticate() {
-	if (cachedUid) return cachedUid;
+async function assertStaysInScope(model, id, values) {
+	const fields = scopeFields(model);
+	if (!fields.some((field) => field in values)) return;
 
-	const authMethod = ODOO_API_KEY;
-	const uid = await callOdoo('common', 'login', [ODOO_DB, ODOO_USERNAME, authMethod]);
-
-	if (!uid) {
-		throw new Error('Authentication failed');
+	const [current] = await getBackend().read(model, [id], fields);
+	if (current && !inScope(model, { ...current, ...values })) {
+		throw new PolicyError(`This change would move record ${id} out of the allowed scope of ${model}`, {
+			model,
+			id
+		});
 	}
+}
 
-	cachedUid = uid;
-	return uid;
+/**
+ * Fill in what the domain restriction requires and make sure a new record lands inside it
+ * @param {string} model
+ * @param {Record<string, any>} values
+ * @returns {Record<string, any>}
+ */
+function scopeNewRecord(model, values) {
+	const scoped = { ...scopeValues(model), ...values };
+	if (!inScope(model, scoped)) {
+		throw new PolicyError(`New records of ${model} must lie inside its allowed scope`, { model });
+	}
+	return scoped;
 }
 
 /**
- * Execute a method on Odoo model
+ * Tail of the queue of calls per record, keyed 'model:id'
+ * @type {Map<string, Promise<unknown>>}
+ */
+const recordQueues = new Map();
+
+/**
+ * Run a read-then-write on one record after the previous one on the same record
+ * has finished. Odoo's external API has no atomic increment or compare-and-set,
+ * so without this two +/- taps could both read the same count and one would be
+ * lost. Calls are serialized within this server process.
+ * @template T
  * @param {string} model
- * @param {string} method
- * @param {any[]} args
- * @param {Record<string, any>} kwargs
+ * @param {number} id
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
  */
-async function execute(model, method, args = [], kwargs = {}) {
-	const uid = await authenticate();
-	const authMethod = ODOO_API_KEY;
-
-	return await callOdoo('object', 'execute_kw', [
-		ODOO_DB,
-		uid,
-		authMethod,
-		model,
-		method,
-		args,
-		kwargs
-	]);
+function withRecordLock(model, id, fn) {
+	const key = `${model}:${id}`;
+	const previous = recordQueues.get(key) || Promise.resolve();
+	const run = previous.catch(() => {}).then(fn);
+	const tail = run.catch(() => {});
+	recordQueues.set(key, tail);
+	tail.then(() => {
+		if (recordQueues.get(key) === tail) recordQueues.delete(key);
+	});
+	return run;
 }
 
-/** @type {import('./$types').RequestHandler} */
-export async function POST({ request }) {
+/**
+ * Check a call against the policy. A field the allow-list doesn't know may
+ * still be one added in Studio, so for the primary model the schema gets a say.
+ * @param {string} action
+ * @param {any} payload
+ * @returns {Promise<Record<string, any>>}
+ */
+async function authorizeCall(action, payload) {
 	try {
-		const { action, data } = await request.json();
+		return authorize(action, payload);
+	} catch (error) {
+		if (!(error instanceof PolicyError) || !error.details?.fields || payload?.model !== PRIMARY_MODEL) {
+			throw error;
+		}
+		return authorize(action, payload, await getPrimarySchema());
+	}
+}
 
-		switch (action) {
-			case 'create': {
-				const { model, fields } = data;
-				const id = await execute(model, 'create', [fields]);
-				return json({ success: true, id });
-			}
+/**
+ * Outcome of one action: HTTP status and JSON body
+ * @typedef {{ status: number, body: Record<string, any> }} ActionResult
+ */
 
-			case 'search': {
-				const { model, domain = [], fields = [] } = data;
-				const results = await execute(model, 'search_read', [domain], { fields });
-				return json({ success: true, results });
-			}
+/**
+ * @param {Record<string, any>} body
+ * @param {number} [status]
+ * @returns {ActionResult}
+ */
+function result(body, status = 200) {
+	return { status, body };
+}
 
-			// Search any model (used by frontend to load res.partner list, etc.)
-			case 'search_model': {
-				const { model, domain = [], fields = [] } = data;
-				const results = await execute(model, 'search_read', [domain], { fields });
-				return json({ success: true, results });
-			}
+/**
+ * Turn a thrown error into a structured failure
+ * @param {any} error
+ * @returns {ActionResult}
+ */
+function errorResult(error) {
+	if (error instanceof PolicyError) {
+		return result({ success: false, error: error.message, code: error.code, details: error.details }, 403);
+	}
 
-			case 'update': {
-				const { model, id, values } = data;
-				const result = await execute(model, 'write', [[id], values]);
-				return json({ success: true, result });
-			}
+	if (error instanceof OdooError) {
+		if (error.status >= 500) console.error('Odoo API Error:', error);
+		return result({ success: false, error: error.message, code: error.code }, error.status);
+	}
+
+	console.error('Odoo API Error:', error);
+	return result(
+		{
+			success: false,
+			error: error instanceof Error ? error.message : 'Unknown error',
+			code: 'error'
+		},
+		500
+	);
+}
+
+// Actions on one existing record, named by its id
+const RECORD_ACTIONS = ['update', 'adjust', 'delete'];
+
+/**
+ * Run a single proxy action
+ * @param {string} action
+ * @param {any} payload
+ * @param {App.Locals['user']} user
+ * @returns {Promise<ActionResult>}
+ */
+async function runAction(action, payload, user) {
+	// Only allow-listed models, actions and fields get through to Odoo
+	const data = await authorizeCall(action, payload);
+	const backend = getBackend();
+
+	if (RECORD_ACTIONS.includes(action) && !(Number.isInteger(data.id) && data.id > 0)) {
+		return result({ success: false, error: 'Record id must be a positive integer', code: 'invalid_request' }, 400);
+	}
 
-			case 'delete': {
-				const { model, id } = data;
-				const result = await execute(model, 'unlink', [[id]]);
-				return json({ success: true, result });
+	switch (action) {
+		case 'create': {
+			const { model, fields } = data;
+			const values = scopeNewRecord(model, stampUser(model, attribute(model, fields, user), user));
+			const id = await backend.create(model, values);
+			const [written] = await backend.read(model, [id], ['write_date']);
+			return result({ success: true, id, write_date: written?.write_date });
+		}
+
+		case 'search': {
+			const { model, domain = [], fields = [], limit, offset, order } = data;
+			const results = await backend.searchRead(model, domain, fields, { limit, offset, order });
+			return result({ success: true, results });
+		}
+
+		case 'search_ids': {
+			const { model, domain = [] } = data;
+			const ids = await backend.search(model, domain);
+			return result({ success: true, ids });
+		}
+
+		// Search lookup models (locations, categories, ...)
+		case 'search_model': {
+			const { model, domain = [], fields = [], limit, offset, order } = data;
+			const results = await backend.searchRead(model, domain, fields, { limit, offset, order });
+			return result({ success: true, results });
+		}
+
+		case 'count': {
+			const { model, domain = [] } = data;
+			const count = await backend.count(model, domain);
+			return result({ success: true, count });
+		}
+
+		// Field metadata of the primary model, for forms built from it
+		case 'fields_get': {
+			const fields = await getPrimarySchema();
+			return result({ success: true, fields });
+		}
+
+		case 'update': {
+			const { model, id, values, expected_write_date } = data;
+			await assertInScope(model, id);
+
+			return withRecordLock(model, id, async () => {
+				// Optimistic concurrency: refuse to overwrite a change the client hasn't seen
+				if (expected_write_date) {
+					const [current] = await backend.read(model, [id], [...Object.keys(values), 'write_date']);
+					if (!current) {
+						return result({ success: false, error: 'Record no longer exists', code: 'missing' }, 404);
+					}
+					if (current.write_date !== expected_write_date) {
+						return result(
+							{ success: false, error: 'Record was changed by someone else', code: 'conflict', current },
+							409
+						);
+					}
+				}
+
+				await assertStaysInScope(model, id, values);
+				const writeResult = await backend.write(model, [id], attribute(model, values, user));
+				const [written] = await backend.read(model, [id], ['write_date']);
+				return result({ success: true, result: writeResult, write_date: written?.write_date });
+			});
+		}
+
+		// Relative change of a numeric field, so concurrent +/- taps add up instead of overwriting
+		case 'adjust': {
+			const { model, id, field, delta } = data;
+			await assertInScope(model, id);
+
+			return withRecordLock(model, id, async () => {
+				const [current] = await backend.read(model, [id], [field]);
+				if (!current) {
+					return result({ success: false, error: 'Record no longer exists', code: 'missing' }, 404);
+				}
+
+				// Counts never go below zero
+				const value = Math.max(0, (Number(current[field]) || 0) + Number(delta));
+				await assertStaysInScope(model, id, { [field]: value });
+				await backend.write(model, [id], attribute(model, { [field]: value }, user));
+				const [written] = await backend.read(model, [id], ['write_date']);
+				return result({ success: true, value, write_date: written?.write_date });
+			});
+		}
+
+		case 'delete': {
+			const { model, id } = data;
+			await assertInScope(model, id);
+			const unlinkResult = await backend.unlink(model, [id]);
+			return result({ success: true, result: unlinkResult });
+		}
+
+		default:
+			return result({ success: false, error: 'Invalid action', code: 'invalid_request' }, 400);
+	}
+}
+
+const MAX_BATCH_OPERATIONS = 100;
+
+/**
+ * Replace { $ref: n } placeholders with the outcome of earlier operations in the batch:
+ * the created id, or the named key of the result (e.g. { $ref: 0, key: 'write_date' })
+ * @param {any} value
+ * @param {Record<string, any>[]} results
+ * @returns {any}
+ */
+function resolveRefs(value, results) {
+	if (Array.isArray(value)) {
+		return value.map((item) => resolveRefs(item, results));
+	}
+	if (value && typeof value === 'object') {
+		if (Number.isInteger(value.$ref)) {
+			const target = results[value.$ref];
+			if (!target?.success) {
+				throw new Error(`Operation ${value.$ref} has no result to refer to`);
 			}
+			return target[value.key || 'id'];
+		}
+		return Object.fromEntries(
+			Object.entries(value).map(([key, item]) => [key, resolveRefs(item, results)])
+		);
+	}
+	return value;
+}
+
+/**
+ * Run operations in order and stop at the first failure; the rest are reported
+ * as 'skipped'. Odoo's external API commits every call on its own, so operations
+ * that already succeeded are not rolled back.
+ * @param {any} operations - [{ action, data }, ...]
+ * @param {App.Locals['user']} user
+ * @returns {Promise<ActionResult>}
+ */
+async function runBatch(operations, user) {
+	if (!Array.isArray(operations) || operations.length === 0) {
+		return result({ success: false, error: 'Batch needs a list of operations', code: 'invalid_request' }, 400);
+	}
+	if (operations.length > MAX_BATCH_OPERATIONS) {
+		return result(
+			{ success: false, error: `Batch is limited to ${MAX_BATCH_OPERATIONS} operations`, code: 'invalid_request' },
+			400
+		);
+	}
 
-			default:
-				return json({ success: false, error: 'Invalid action' }, { status: 400 });
+	/** @type {Record<string, any>[]} */
+	const results = [];
+	for (const operation of operations) {
+		if (results.some((r) => !r.success)) {
+			results.push({ success: false, error: 'Skipped after an earlier failure', code: 'skipped' });
+			continue;
 		}
+
+		let outcome;
+		try {
+			if (operation?.action === 'batch') {
+				throw new PolicyError('Batches cannot be nested', { action: 'batch' });
+			}
+			outcome = await runAction(operation?.action, resolveRefs(operation?.data, results), user);
+		} catch (error) {
+			outcome = errorResult(error);
+		}
+		results.push(outcome.body);
+	}
+
+	return result({ success: true, results });
+}
+
+/** @type {import('./$types').RequestHandler} */
+export async function POST({ request, locals }) {
+	if (isAuthEnabled() && !locals.user) {
+		return json({ success: false, error: 'Not logged in', code: 'unauthorized' }, { status: 401 });
+	}
+
+	let outcome;
+	try {
+		const { action, data } = await request.json();
+
+		outcome = action === 'batch'
+			? await runBatch(data?.operations, locals.user)
+			: await runAction(action, data, locals.user);
 	} catch (error) {
-		console.error('Odoo API Error:', error);
-		return json(
-			{
-				success: false,
-				error: error instanceof Error ? error.message : 'Unknown error'
-			},
-			{ status: 500 }
-		);
+		outcome = errorResult(error);
 	}
+
+	return json(outcome.body, { status: outcome.status });
 }
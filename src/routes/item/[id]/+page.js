@@ -0,0 +1,3 @@
+// Item ids are only known at runtime, so this page is served by the SPA fallback
+// (see svelte.config.js) instead of being prerendered
+export const prerender = false;
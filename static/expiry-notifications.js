@@ -0,0 +1,190 @@
+/**
+ * Expiry Notifications for the Service Worker
+ *
+ * Loaded into the generated Workbox service worker via `importScripts`
+ * (see vite.config.js). It reads the cached inventory straight from IndexedDB,
+ * so reminders work offline and need no push service. Checks run on periodic
+ * background sync (where the browser supports it) and whenever the app asks
+ * for one with a `check-expiry` message.
+ *
+ * Plain script, not bundled: keep store and setting names in sync with
+ * src/lib/db.js and src/lib/settings.js.
+ */
+
+const DB_NAME = 'fridge_inventory_db';
+const INVENTORY_STORE = 'inventory';
+const CONFIG_STORE = 'config';
+const SETTINGS_KEY = 'notification_settings';
+const LOG_KEY = 'notification_log';
+const PERIODIC_SYNC_TAG = 'expiry-check';
+
+/**
+ * Open the app database without upgrading it. If the app never created it,
+ * fail instead of creating an empty one that would confuse the app's migrations.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openAppDB() {
+	return new Promise((resolve, reject) => {
+		const request = indexedDB.open(DB_NAME);
+
+		request.onupgradeneeded = () => {
+			request.transaction.abort();
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(new Error('App database not available'));
+	});
+}
+
+/**
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * Today's date as 'YYYY-MM-DD' in local time, offset by a number of days
+ * @param {number} [offsetDays]
+ * @returns {string}
+ */
+function localDate(offsetDays = 0) {
+	const d = new Date();
+	d.setDate(d.getDate() + offsetDays);
+	const month = String(d.getMonth() + 1).padStart(2, '0');
+	const day = String(d.getDate()).padStart(2, '0');
+	return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * @param {string} time - 'HH:MM'
+ * @returns {number} - Minutes since midnight
+ */
+function toMinutes(time) {
+	const [hours, minutes] = String(time || '0:0').split(':').map(Number);
+	return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Whether now falls inside the quiet hours window (which may wrap past midnight)
+ * @param {{ quietStart: string, quietEnd: string }} settings
+ * @returns {boolean}
+ */
+function isQuietTime(settings) {
+	const start = toMinutes(settings.quietStart);
+	const end = toMinutes(settings.quietEnd);
+	if (start === end) return false;
+
+	const now = new Date();
+	const current = now.getHours() * 60 + now.getMinutes();
+	return start < end
+		? current >= start && current < end
+		: current >= start || current < end;
+}
+
+/**
+ * @param {string} expiryDate - 'YYYY-MM-DD'
+ * @returns {string}
+ */
+function describeExpiry(expiryDate) {
+	const today = localDate();
+	if (expiryDate < today) return 'has expired';
+	if (expiryDate === today) return 'expires today';
+	if (expiryDate === localDate(1)) return 'expires tomorrow';
+	return `expires on ${expiryDate}`;
+}
+
+/**
+ * Check the cached inventory and show due notifications
+ * @param {{ test?: boolean }} [options] - test: ignore quiet hours and what was already sent today
+ */
+async function checkExpiry(options = {}) {
+	const db = await openAppDB();
+
+	try {
+		const read = db.transaction([CONFIG_STORE], 'readonly').objectStore(CONFIG_STORE);
+		const settingsEntry = await promisify(read.get(SETTINGS_KEY));
+		const logEntry = await promisify(read.get(LOG_KEY));
+
+		const settings = settingsEntry?.value;
+		if (!settings?.enabled) return;
+		if (!options.test && isQuietTime(settings)) return;
+
+		// Expiry dates sort lexically, so the index gives everything due within the lead time
+		const inventory = db.transaction([INVENTORY_STORE], 'readonly').objectStore(INVENTORY_STORE);
+		const due = await promisify(
+			inventory.index('expiry_date').getAll(IDBKeyRange.upperBound(localDate(Number(settings.leadDays) || 0)))
+		);
+		const items = due.filter((record) => Number(record.x_studio_items_count) > 0);
+
+		const today = localDate();
+		const log = logEntry?.value?.date === today && !options.test
+			? logEntry.value
+			: { date: today, digestSent: false, notifiedIds: [] };
+
+		if (settings.mode === 'per-item') {
+			for (const item of items) {
+				if (log.notifiedIds.includes(item.id)) continue;
+
+				await self.registration.showNotification(`${item.x_name} ${describeExpiry(item.x_studio_expiry_date)}`, {
+					body: `${Number(item.x_studio_items_count)} left in the fridge`,
+					tag: `expiry-${item.id}`,
+					icon: 'icon-192.png',
+					data: { url: 'expiring' }
+				});
+				log.notifiedIds.push(item.id);
+			}
+		} else if (!log.digestSent && items.length > 0) {
+			const expired = items.filter((item) => item.x_studio_expiry_date < today).length;
+			const names = items.slice(0, 5).map((item) => item.x_name).join(', ');
+
+			await self.registration.showNotification(
+				`${items.length} item${items.length > 1 ? 's' : ''} expiring soon`,
+				{
+					body: (expired > 0 ? `${expired} already expired. ` : '') + names + (items.length > 5 ? ', …' : ''),
+					tag: 'expiry-digest',
+					icon: 'icon-192.png',
+					data: { url: 'expiring' }
+				}
+			);
+			log.digestSent = true;
+		}
+
+		const write = db.transaction([CONFIG_STORE], 'readwrite').objectStore(CONFIG_STORE);
+		await promisify(write.put({ key: LOG_KEY, value: log, updatedAt: Date.now() }));
+	} finally {
+		db.close();
+	}
+}
+
+self.addEventListener('periodicsync', (event) => {
+	if (event.tag === PERIODIC_SYNC_TAG) {
+		event.waitUntil(checkExpiry().catch((e) => console.warn('Expiry check failed:', e)));
+	}
+});
+
+self.addEventListener('message', (event) => {
+	if (event.data?.type === 'check-expiry') {
+		event.waitUntil(
+			checkExpiry({ test: event.data.test }).catch((e) => console.warn('Expiry check failed:', e))
+		);
+	}
+});
+
+self.addEventListener('notificationclick', (event) => {
+	event.notification.close();
+	const url = new URL(event.notification.data?.url || '', self.registration.scope).href;
+
+	event.waitUntil(
+		self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+			const client = clients.find((c) => c.url.startsWith(self.registration.scope));
+			if (client) {
+				return client.navigate(url).then((c) => (c || client).focus());
+			}
+			return self.clients.openWindow(url);
+		})
+	);
+});
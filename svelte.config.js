@@ -9,7 +9,8 @@ const config = {
 		adapter: adapter({
 			pages: 'build',
 			assets: 'build',
-			fallback: undefined,
+			// Serves pages that can't be prerendered, such as /item/[id] (GitHub Pages uses 404.html for unknown paths)
+			fallback: '404.html',
 			precompress: false,
 			strict: true
 		}),
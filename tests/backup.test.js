@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { startFakeOdoo } from './fakeOdoo';
+import { testEnv } from './env';
+import { routeApiToProxy } from './proxy';
+
+/** @type {import('./fakeOdoo').FakeOdoo} */
+let odoo;
+
+beforeAll(async () => {
+	odoo = await startFakeOdoo();
+	testEnv.ODOO_URL = odoo.url;
+});
+
+afterAll(() => odoo.close());
+
+beforeEach(async () => {
+	odoo.reset();
+	vi.resetModules();
+	await routeApiToProxy();
+});
+
+afterEach(() => {
+	vi.unstubAllGlobals();
+});
+
+/**
+ * A backup with a sent change, a change still queued here and one this
+ * device has never seen
+ */
+async function backupWithOutbox() {
+	const { enqueue, flush } = await import('$lib/outbox');
+	const { createBackup } = await import('$lib/backup');
+
+	await enqueue({ action: 'create', model: 'x_inventory', recordId: 'temp_1', values: { x_name: 'Milk' } });
+	const backup = await createBackup();
+	await flush();
+	await enqueue({ action: 'create', model: 'x_inventory', recordId: 'temp_2', values: { x_name: 'Eggs' } });
+
+	const [sent] = backup.stores.outbox;
+	const queued = (await createBackup()).stores.outbox[0];
+	const unknown = { ...queued, seq: 99, key: 'from_another_device', recordId: 'temp_3', values: { x_name: 'Jam' } };
+	return { ...backup, stores: { ...backup.stores, outbox: [sent, queued, unknown] } };
+}
+
+async function queuedNames() {
+	const { getPending } = await import('$lib/outbox');
+	return (await getPending()).map((entry) => entry.values.x_name);
+}
+
+describe('restoring the outbox', () => {
+	it('lists the backup\'s unsynced changes by what this device knows about them', async () => {
+		const { planRestore } = await import('$lib/backup');
+		const backup = await backupWithOutbox();
+
+		const plan = await planRestore(backup, 'merge');
+
+		expect(plan.outbox).toEqual({ inBackup: 3, queued: 1, sent: 1, unknown: 1 });
+		expect(plan.stores.map((change) => change.store)).not.toContain('outbox');
+	});
+
+	it('sends nothing again by default and keeps the local queue', async () => {
+		const { applyRestore } = await import('$lib/backup');
+		const backup = await backupWithOutbox();
+
+		await applyRestore(backup, 'replace');
+
+		expect(await queuedNames()).toEqual(['Eggs']);
+	});
+
+	it('queues only the unknown changes when asked to send them', async () => {
+		const { applyRestore, planRestore } = await import('$lib/backup');
+		const backup = await backupWithOutbox();
+
+		await applyRestore(backup, 'replace', { resend: true });
+
+		expect(await queuedNames()).toEqual(['Eggs', 'Jam']);
+		// The backup's config store replaced the local one, but the sent change is still known
+		expect((await planRestore(backup, 'merge')).outbox).toMatchObject({ queued: 2, sent: 1, unknown: 0 });
+		expect(odoo.records('x_inventory').map((r) => r.x_name)).toEqual(['Milk']);
+	});
+});
@@ -0,0 +1,53 @@
+// @ts-check
+
+/**
+ * In-memory stand-ins for the browser APIs the stores use: localStorage,
+ * navigator.onLine and the window 'online' event. Installed on import
+ * (see setup.js); IndexedDB comes from fake-indexeddb.
+ */
+
+/** @type {Map<string, string>} */
+const storage = new Map();
+
+globalThis.localStorage = /** @type {Storage} */ ({
+	get length() {
+		return storage.size;
+	},
+	key: (index) => [...storage.keys()][index] ?? null,
+	getItem: (key) => storage.get(key) ?? null,
+	setItem: (key, value) => void storage.set(key, String(value)),
+	removeItem: (key) => void storage.delete(key),
+	clear: () => storage.clear()
+});
+
+const onlineState = { onLine: true };
+
+Object.defineProperty(globalThis, 'navigator', {
+	configurable: true,
+	value: {
+		get onLine() {
+			return onlineState.onLine;
+		}
+	}
+});
+
+globalThis.window = /** @type {any} */ (Object.assign(new EventTarget(), {
+	location: { pathname: '/', search: '' }
+}));
+
+/**
+ * Switch the simulated connection; going online fires the window 'online' event
+ * @param {boolean} online
+ */
+export function setOnline(online) {
+	onlineState.onLine = online;
+	if (online) window.dispatchEvent(new Event('online'));
+}
+
+/**
+ * Empty storage and back online, before every test
+ */
+export function resetBrowser() {
+	storage.clear();
+	onlineState.onLine = true;
+}
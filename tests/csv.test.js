@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { detectDelimiter, parseCsv, parseCsvRows, toCsv } from '$lib/csv';
+
+describe('parseCsv', () => {
+	it('reads quoted fields with delimiters, quotes and line breaks', () => {
+		const text = 'name,note\r\n"Milk, oat","says ""hi"""\r\n"Jam","two\r\nlines"\r\n';
+
+		expect(parseCsv(text)).toEqual([
+			['name', 'note'],
+			['Milk, oat', 'says "hi"'],
+			['Jam', 'two\r\nlines']
+		]);
+	});
+
+	it('detects semicolons and tabs and drops the byte order mark', () => {
+		expect(detectDelimiter('name;count\nMilk;2')).toBe(';');
+		expect(detectDelimiter('name\tcount')).toBe('\t');
+		expect(detectDelimiter('"a;b",c\n')).toBe(',');
+		expect(parseCsv('﻿name;count\nMilk;2')).toEqual([['name', 'count'], ['Milk', '2']]);
+	});
+
+	it('numbers rows by the line they start on, counting blank lines and quoted breaks', () => {
+		const text = 'name,note\n\nMilk,"first\nsecond"\r\n\r\nJam,x\n,\nEggs,';
+
+		expect(parseCsvRows(text)).toEqual([
+			{ line: 1, fields: ['name', 'note'] },
+			{ line: 3, fields: ['Milk', 'first\nsecond'] },
+			{ line: 6, fields: ['Jam', 'x'] },
+			{ line: 8, fields: ['Eggs', ''] }
+		]);
+	});
+});
+
+describe('toCsv', () => {
+	it('quotes what needs it and keeps formulas from running', () => {
+		const csv = toCsv([['name', 'count'], ['Milk, oat', 2], ['=SUM(A1)', false], ['-5 °C', null]]);
+
+		expect(csv).toBe('name,count\r\n"Milk, oat",2\r\n\'=SUM(A1),\r\n\'-5 °C,');
+	});
+
+	it('parses its own output back to the same text', () => {
+		const values = ['=SUM(A1)', "'=already quoted", "it's", '@home', 'say "hi"', 'a;b,c', 'two\r\nlines', '+1'];
+
+		const [parsed] = parseCsv(toCsv([values]));
+
+		expect(parsed).toEqual(values);
+	});
+});
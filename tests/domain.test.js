@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+	matchesDomain,
+	filterByDomain,
+	andDomains,
+	orDomains,
+	normalizeDomain,
+	buildSearchDomain
+} from '$lib/inventoryUtils';
+
+const milk = {
+	id: 1,
+	x_name: 'Oat Milk',
+	x_studio_items_count: 2,
+	x_studio_expiry_date: '2026-11-01',
+	x_studio_location: [3, 'Fridge'],
+	x_studio_barcode: false
+};
+
+/**
+ * @param {any[]} term
+ */
+const matches = (term) => matchesDomain(milk, [term]);
+
+describe('matchesDomain', () => {
+	it('compares with = and != like Odoo, false meaning unset', () => {
+		expect(matches(['x_studio_items_count', '=', 2])).toBe(true);
+		expect(matches(['x_studio_items_count', '==', 3])).toBe(false);
+		expect(matches(['x_studio_barcode', '=', false])).toBe(true);
+		expect(matches(['x_studio_expiry_date', '!=', false])).toBe(true);
+		expect(matches(['x_studio_items_count', '<>', 2])).toBe(false);
+		expect(matches(['x_studio_category', '=', false])).toBe(true);
+	});
+
+	it('orders numbers and dates and never matches unset values', () => {
+		expect(matches(['x_studio_items_count', '<', 3])).toBe(true);
+		expect(matches(['x_studio_items_count', '<=', 1])).toBe(false);
+		expect(matches(['x_studio_items_count', '>', 1])).toBe(true);
+		expect(matches(['x_studio_expiry_date', '>=', '2026-11-01'])).toBe(true);
+		expect(matches(['x_studio_expiry_date', '<', '2026-10-01'])).toBe(false);
+		expect(matches(['x_studio_barcode', '<', 'z'])).toBe(false);
+	});
+
+	it('looks values up in lists with in and not in', () => {
+		expect(matches(['id', 'in', [1, 2]])).toBe(true);
+		expect(matches(['id', 'not in', [1, 2]])).toBe(false);
+		expect(matches(['x_studio_location', 'in', [3]])).toBe(true);
+		expect(matches(['x_studio_barcode', 'not in', ['123']])).toBe(true);
+	});
+
+	it('matches text with the like operators, many2one fields by name', () => {
+		expect(matches(['x_name', 'like', 'Milk'])).toBe(true);
+		expect(matches(['x_name', 'like', 'milk'])).toBe(false);
+		expect(matches(['x_name', 'ilike', 'milk'])).toBe(true);
+		expect(matches(['x_name', 'not like', 'milk'])).toBe(true);
+		expect(matches(['x_name', 'not ilike', 'milk'])).toBe(false);
+		expect(matches(['x_name', '=like', 'Oat%'])).toBe(true);
+		expect(matches(['x_name', '=ilike', 'oat_milk'])).toBe(true);
+		expect(matches(['x_name', 'ilike', '.*'])).toBe(false);
+		expect(matches(['x_studio_location', 'ilike', 'frid'])).toBe(true);
+		expect(matches(['x_studio_barcode', 'ilike', ''])).toBe(false);
+	});
+
+	it('combines terms with &, | and ! in prefix order, ANDing the top level', () => {
+		const low = ['x_studio_items_count', '<', 2];
+		const fridge = ['x_studio_location', '=', 3];
+		const oat = ['x_name', 'ilike', 'oat'];
+
+		expect(matchesDomain(milk, ['|', low, fridge])).toBe(true);
+		expect(matchesDomain(milk, ['&', low, fridge])).toBe(false);
+		expect(matchesDomain(milk, ['!', low])).toBe(true);
+		expect(matchesDomain(milk, ['|', '!', fridge, '&', oat, '!', low])).toBe(true);
+		expect(matchesDomain(milk, ['!', '|', low, fridge])).toBe(false);
+		expect(matchesDomain(milk, [oat, '|', low, fridge])).toBe(true);
+		expect(matchesDomain(milk, [oat, low])).toBe(false);
+		expect(matchesDomain(milk, [])).toBe(true);
+	});
+
+	it('rejects malformed terms, unknown operators and dotted paths', () => {
+		expect(() => matchesDomain(milk, [['x_name', 'ilike']])).toThrow('Invalid domain term');
+		expect(() => matchesDomain(milk, [['x_name', null, 'milk']])).toThrow('Invalid domain term');
+		expect(() => matchesDomain(milk, [['x_name', ['='], 'milk']])).toThrow('Invalid domain term');
+		expect(() => matchesDomain(milk, [[1, '=', 1]])).toThrow('Invalid domain term');
+		expect(() => matchesDomain(milk, ['x_name'])).toThrow('Invalid domain term');
+		expect(() => matchesDomain(milk, ['|', ['id', '=', 1]])).toThrow('missing operands');
+		expect(() => matchesDomain(milk, [['x_name', 'child_of', 1]])).toThrow('Unsupported domain operator');
+		expect(() => matchesDomain(milk, [['x_studio_location.x_name', '=', 'Fridge']])).toThrow('Dotted');
+	});
+});
+
+describe('combining domains', () => {
+	const a = ['x_name', 'ilike', 'milk'];
+	const b = ['x_studio_items_count', '>', 0];
+	const c = ['x_studio_location', '=', 3];
+
+	it('makes implicit ANDs explicit', () => {
+		expect(normalizeDomain([a])).toEqual([a]);
+		expect(normalizeDomain([a, b, c])).toEqual(['&', '&', a, b, c]);
+		expect(normalizeDomain(['|', a, b, c])).toEqual(['&', '|', a, b, c]);
+		expect(normalizeDomain(['!', a, b])).toEqual(['&', '!', a, b]);
+	});
+
+	it('ORs whole domains, and anything ORed with everything is everything', () => {
+		expect(orDomains([a, b], [c])).toEqual(['|', '&', a, b, c]);
+		expect(orDomains([a], [b], [c])).toEqual(['|', '|', a, b, c]);
+		expect(orDomains([a], [])).toEqual([]);
+		expect(orDomains()).toEqual([]);
+	});
+
+	it('ANDs domains by joining them', () => {
+		expect(andDomains([a], [], ['|', b, c])).toEqual([a, '|', b, c]);
+	});
+
+	it('gives the same answers as the domains it was built from', () => {
+		const records = [
+			{ id: 1, x_name: 'Milk', x_studio_items_count: 0, x_studio_location: false },
+			{ id: 2, x_name: 'Oat milk', x_studio_items_count: 2, x_studio_location: [3, 'Fridge'] },
+			{ id: 3, x_name: 'Eggs', x_studio_items_count: 6, x_studio_location: [3, 'Fridge'] },
+			{ id: 4, x_name: 'Jam', x_studio_items_count: 1, x_studio_location: false }
+		];
+		const ids = (domain) => filterByDomain(records, domain).map((r) => r.id);
+
+		expect(ids(orDomains([a, b], [c]))).toEqual([2, 3]);
+		expect(ids(andDomains(buildSearchDomain('i', ['x_name', 'x_studio_location']), [b]))).toEqual([2, 3]);
+	});
+});
@@ -0,0 +1,33 @@
+// @ts-check
+import { FAKE_DB, FAKE_LOGIN, FAKE_API_KEY } from './fakeOdoo';
+
+const DEFAULTS = {
+	BACKEND: 'odoo',
+	ODOO_URL: 'http://127.0.0.1:9',
+	ODOO_DB: FAKE_DB,
+	ODOO_USERNAME: FAKE_LOGIN,
+	ODOO_API_KEY: FAKE_API_KEY,
+	ODOO_TIMEOUT_MS: '2000',
+	ODOO_PRIMARY_MODEL: 'x_inventory',
+	ODOO_PRIMARY_DOMAIN: '',
+	AUTH_PROVIDER: 'none',
+	SESSION_SECRET: 'test-secret-that-is-at-least-32-characters',
+	ODOO_ATTRIBUTION_FIELD: ''
+};
+
+/**
+ * Server environment seen by $env/static/private and $env/dynamic/private in
+ * tests. Modules that read a variable at import time need vi.resetModules()
+ * before a changed value takes effect.
+ * @type {Record<string, string>}
+ */
+export const testEnv = { ...DEFAULTS };
+
+/**
+ * Back to the defaults, keeping ODOO_URL pointed at the running fake server
+ */
+export function resetEnv() {
+	const url = testEnv.ODOO_URL;
+	for (const key of Object.keys(testEnv)) delete testEnv[key];
+	Object.assign(testEnv, DEFAULTS, { ODOO_URL: url });
+}
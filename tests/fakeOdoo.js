@@ -0,0 +1,327 @@
+// @ts-check
+import { createServer } from 'node:http';
+import { matchesDomain } from '$lib/inventoryUtils';
+
+/**
+ * Fake Odoo JSON-RPC Server
+ *
+ * Answers POST /jsonrpc on a random local port like Odoo's external API does:
+ * common.login and object.execute_kw with search_read, search, search_count,
+ * read, create, write, unlink and fields_get. search_read takes limit, offset
+ * and order (plain fields, many2one by id). Records live in memory, write_date advances
+ * one second per change so delta syncs are deterministic, and failures can be
+ * queued with failNext() to test error handling.
+ */
+
+// many2one fields and the model they point to, read as [id, name] like in Odoo
+const RELATIONS = {
+	x_studio_location: 'x_location',
+	x_studio_category: 'x_category',
+	x_studio_inventory: 'x_inventory'
+};
+
+// fields_get of the inventory model: the app's fields plus some Odoo adds to every model
+const INVENTORY_FIELDS = {
+	id: { type: 'integer', string: 'ID', readonly: true },
+	display_name: { type: 'char', string: 'Display Name', readonly: true },
+	write_date: { type: 'datetime', string: 'Last Updated on', readonly: true },
+	create_uid: { type: 'many2one', string: 'Created by', relation: 'res.users', readonly: true },
+	message_ids: { type: 'one2many', string: 'Messages', relation: 'mail.message' },
+	x_name: { type: 'char', string: 'Name', required: true },
+	x_studio_items_count: { type: 'integer', string: 'Items Count' },
+	x_studio_expiry_date: { type: 'date', string: 'Expiry Date' },
+	x_studio_barcode: { type: 'char', string: 'Barcode' },
+	x_studio_location: { type: 'many2one', string: 'Location', relation: 'x_location' },
+	x_studio_category: { type: 'many2one', string: 'Category', relation: 'x_category' },
+	x_studio_min_quantity: { type: 'integer', string: 'Minimum Quantity' },
+	x_studio_unit_price: { type: 'float', string: 'Unit Price' }
+};
+
+/**
+ * @typedef {Object} RpcCall
+ * @property {string} service
+ * @property {string} method - login, or the model method for execute_kw
+ * @property {string} [model]
+ * @property {any[]} args
+ */
+
+/**
+ * @typedef {{ status: number }
+ *   | { exception: string, message?: string }
+ *   | { delay: number }} Failure
+ * status answers with that HTTP status, exception with an Odoo error of that
+ * class (e.g. 'odoo.exceptions.AccessDenied'), delay waits before answering
+ */
+
+/**
+ * @typedef {Object} FakeOdoo
+ * @property {string} url - Base URL, for ODOO_URL
+ * @property {RpcCall[]} calls - Every call received, in order
+ * @property {(model: string, records: Record<string, any>[]) => number[]} seed - Add records, returns their ids
+ * @property {(model: string) => Record<string, any>[]} records - Stored records of a model, as read
+ * @property {(model: string, id: number, values: Record<string, any>) => void} change - Edit a record as another user would
+ * @property {(model: string, id: number) => void} drop - Delete a record as another user would
+ * @property {(failure: Failure) => void} failNext - Fail the next call
+ * @property {(model: string, name: string, info: Record<string, any>) => void} addField - Add a field as Studio would
+ * @property {(key: string) => void} rotateKey - Change the service account's API key
+ * @property {() => void} reset - Forget all records, calls and queued failures
+ * @property {() => Promise<void>} close
+ */
+
+export const FAKE_DB = 'test';
+export const FAKE_LOGIN = 'service';
+export const FAKE_API_KEY = 'service-key';
+const FAKE_UID = 2;
+
+/**
+ * @param {string} name - Odoo exception class
+ * @param {string} message
+ */
+function rpcError(name, message) {
+	return { code: 200, message: 'Odoo Server Error', data: { name, message } };
+}
+
+class RpcFailure extends Error {
+	/**
+	 * @param {string} name
+	 * @param {string} message
+	 */
+	constructor(name, message) {
+		super(message);
+		this.odooName = name;
+	}
+}
+
+/**
+ * Start the server
+ * @returns {Promise<FakeOdoo>}
+ */
+export async function startFakeOdoo() {
+	/** @type {Map<string, { nextId: number, records: Map<number, Record<string, any>> }>} */
+	let models = new Map();
+	/** @type {Failure[]} */
+	let failures = [];
+	/** @type {RpcCall[]} */
+	const calls = [];
+	/** @type {Record<string, Record<string, Record<string, any>>>} */
+	let fieldsByModel = { x_inventory: { ...INVENTORY_FIELDS } };
+	let apiKey = FAKE_API_KEY;
+	let clock = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+	// Odoo-style UTC timestamp, one second later on every change
+	function tick() {
+		clock += 1000;
+		return new Date(clock).toISOString().replace('T', ' ').slice(0, 19);
+	}
+
+	function table(model) {
+		if (!models.has(model)) models.set(model, { nextId: 1, records: new Map() });
+		return models.get(model);
+	}
+
+	function readField(record, field) {
+		if (field === 'display_name') return record.x_name ?? `#${record.id}`;
+		const value = record[field];
+		if (value === undefined || value === null) return false;
+		const target = RELATIONS[field];
+		if (target && value) {
+			const related = table(target).records.get(value);
+			return related ? [value, related.x_name] : false;
+		}
+		return value;
+	}
+
+	function project(record, fields = []) {
+		const names = fields.length > 0 ? ['id', ...fields.filter(f => f !== 'id')] : Object.keys(record);
+		return Object.fromEntries(names.map(field => [field, readField(record, field)]));
+	}
+
+	function store(values) {
+		const stored = {};
+		for (const [field, value] of Object.entries(values)) {
+			stored[field] = RELATIONS[field] && Array.isArray(value) ? value[0] : value === false ? null : value;
+		}
+		return stored;
+	}
+
+	function find(model, domain) {
+		return [...table(model).records.values()]
+			.filter(record => matchesDomain(project(record), domain))
+			.sort((a, b) => a.id - b.id);
+	}
+
+	/**
+	 * Apply search_read's order, offset and limit to records already sorted by id
+	 * @param {Record<string, any>[]} records
+	 * @param {{ order?: string, offset?: number, limit?: number }} kwargs
+	 */
+	function page(records, { order, offset = 0, limit } = {}) {
+		const terms = (order || '').split(',').map(term => term.trim().split(/\s+/)).filter(([field]) => field);
+		const sorted = [...records].sort((a, b) => {
+			for (const [field, direction] of terms) {
+				const x = a[field] ?? null;
+				const y = b[field] ?? null;
+				if (x === y) continue;
+				const before = y === null || (x !== null && x < y);
+				return (before ? -1 : 1) * (direction?.toLowerCase() === 'desc' ? -1 : 1);
+			}
+			return 0;
+		});
+		return sorted.slice(offset, limit ? offset + limit : undefined);
+	}
+
+	function requireRecords(model, ids) {
+		return ids.map(id => {
+			const record = table(model).records.get(id);
+			if (!record) {
+				throw new RpcFailure('odoo.exceptions.MissingError', `Record does not exist or has been deleted: ${model}(${id})`);
+			}
+			return record;
+		});
+	}
+
+	function create(model, values) {
+		const modelTable = table(model);
+		const id = modelTable.nextId++;
+		const timestamp = tick();
+		modelTable.records.set(id, { ...store(values), id, create_date: timestamp, write_date: timestamp });
+		return id;
+	}
+
+	function write(model, ids, values) {
+		const timestamp = tick();
+		for (const record of requireRecords(model, ids)) {
+			Object.assign(record, store(values), { write_date: timestamp });
+		}
+		return true;
+	}
+
+	/**
+	 * @param {string} model
+	 * @param {string} method
+	 * @param {any[]} args
+	 * @param {Record<string, any>} kwargs
+	 */
+	function executeKw(model, method, args, kwargs) {
+		switch (method) {
+			case 'search_read':
+				return page(find(model, args[0] || []), kwargs).map(record => project(record, kwargs.fields));
+			case 'search':
+				return find(model, args[0] || []).map(record => record.id);
+			case 'search_count':
+				return find(model, args[0] || []).length;
+			case 'read':
+				return requireRecords(model, args[0]).map(record => project(record, args[1]));
+			case 'create':
+				return create(model, args[0]);
+			case 'write':
+				return write(model, args[0], args[1]);
+			case 'fields_get': {
+				const fields = fieldsByModel[model] || {};
+				const attributes = kwargs.attributes;
+				return Object.fromEntries(
+					Object.entries(fields).map(([name, info]) => [
+						name,
+						attributes ? Object.fromEntries(Object.entries(info).filter(([key]) => attributes.includes(key))) : info
+					])
+				);
+			}
+			case 'unlink':
+				requireRecords(model, args[0]);
+				for (const id of args[0]) table(model).records.delete(id);
+				return true;
+			default:
+				throw new RpcFailure('builtins.AttributeError', `The method '${method}' does not exist on ${model}`);
+		}
+	}
+
+	/**
+	 * @param {any} params
+	 */
+	function dispatch({ service, method, args }) {
+		if (service === 'common' && method === 'login') {
+			const [db, login, password] = args;
+			calls.push({ service, method, args });
+			return db === FAKE_DB && login === FAKE_LOGIN && password === apiKey ? FAKE_UID : false;
+		}
+
+		if (service === 'object' && method === 'execute_kw') {
+			const [db, uid, password, model, modelMethod, modelArgs = [], kwargs = {}] = args;
+			calls.push({ service, method: modelMethod, model, args: modelArgs });
+			if (db !== FAKE_DB || uid !== FAKE_UID || password !== apiKey) {
+				throw new RpcFailure('odoo.exceptions.AccessDenied', 'Access Denied');
+			}
+			return executeKw(model, modelMethod, modelArgs, kwargs);
+		}
+
+		throw new RpcFailure('builtins.KeyError', `Unknown service ${service}.${method}`);
+	}
+
+	const server = createServer(async (request, response) => {
+		let body = '';
+		for await (const chunk of request) body += chunk;
+
+		const failure = failures.shift();
+		if (failure && 'delay' in failure) {
+			await new Promise(resolve => setTimeout(resolve, failure.delay));
+		}
+		if (failure && 'status' in failure) {
+			response.writeHead(failure.status, { 'Content-Type': 'text/html' });
+			response.end('<html><body>Bad Gateway</body></html>');
+			return;
+		}
+
+		const { id, params } = JSON.parse(body);
+		let payload;
+		try {
+			if (failure && 'exception' in failure) {
+				throw new RpcFailure(failure.exception, failure.message || failure.exception);
+			}
+			payload = { result: dispatch(params) };
+		} catch (error) {
+			payload = { error: rpcError(error.odooName || 'builtins.Exception', error.message) };
+		}
+
+		response.writeHead(200, { 'Content-Type': 'application/json' });
+		response.end(JSON.stringify({ jsonrpc: '2.0', id, ...payload }));
+	});
+
+	await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+	const address = /** @type {import('node:net').AddressInfo} */ (server.address());
+
+	return {
+		url: `http://127.0.0.1:${address.port}`,
+		calls,
+		seed(model, records) {
+			return records.map(values => create(model, values));
+		},
+		records(model) {
+			return [...table(model).records.values()].map(record => project(record));
+		},
+		change(model, id, values) {
+			write(model, [id], values);
+		},
+		drop(model, id) {
+			table(model).records.delete(id);
+		},
+		failNext(failure) {
+			failures.push(failure);
+		},
+		addField(model, name, info) {
+			fieldsByModel[model] = { ...fieldsByModel[model], [name]: info };
+		},
+		rotateKey(key) {
+			apiKey = key;
+		},
+		reset() {
+			models = new Map();
+			failures = [];
+			fieldsByModel = { x_inventory: { ...INVENTORY_FIELDS } };
+			calls.length = 0;
+			apiKey = FAKE_API_KEY;
+		},
+		close() {
+			return new Promise(resolve => server.close(() => resolve()));
+		}
+	};
+}
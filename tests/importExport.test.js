@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsvRows } from '$lib/csv';
+import { exportCsv, exportJson, guessMapping, prepareImport } from '$lib/importExport';
+
+const names = { 2: 'Fridge', 5: 'Dairy' };
+const nameOf = (field, value) => names[Array.isArray(value) ? value[0] : value] || '';
+
+/**
+ * Parse a file like the import page does
+ * @param {string} text
+ * @param {any[]} [records] - Current inventory
+ */
+function importFile(text, records = []) {
+	const [header, ...rows] = parseCsvRows(text);
+	return prepareImport(rows, guessMapping(header.fields), records);
+}
+
+describe('export', () => {
+	it('writes the app\'s fields and the schema\'s extra fields, many2one fields by name', () => {
+		const records = [
+			{ id: 1, x_name: 'Milk', x_studio_items_count: 2, x_studio_location: 2, x_studio_opened: true, x_studio_brand: [5, 'Dairy'] }
+		];
+		const extra = [
+			{ name: 'x_studio_opened', type: 'boolean', string: 'Opened' },
+			{ name: 'x_studio_brand', type: 'many2one', string: 'Brand', relation: 'x_brand' }
+		];
+
+		const [header, row] = exportCsv(records, nameOf, /** @type {any} */ (extra)).split('\r\n');
+		const json = JSON.parse(exportJson(records, nameOf, /** @type {any} */ (extra)));
+
+		expect(header.split(',').slice(-2)).toEqual(['x_studio_opened', 'x_studio_brand']);
+		expect(row.split(',').slice(-2)).toEqual(['true', 'Dairy']);
+		expect(json.records[0]).toMatchObject({ x_studio_location: [2, 'Fridge'], x_studio_opened: true, x_studio_brand: [5, 'Dairy'] });
+	});
+});
+
+describe('import', () => {
+	it('imports an exported file with the same values', () => {
+		const records = [
+			{ id: 1, x_name: '=HYPERLINK("http://example.com")', x_studio_items_count: 2, x_studio_expiry_date: '2026-12-31' },
+			{ id: 2, x_name: 'Jam, "homemade"\nstrawberry', x_studio_items_count: 0, x_studio_expiry_date: false },
+			{ id: 3, x_name: '-20 °C peas', x_studio_items_count: 5, x_studio_expiry_date: '2027-01-15' }
+		];
+
+		const rows = importFile(exportCsv(records, nameOf));
+
+		expect(rows.map((row) => row.errors)).toEqual([[], [], []]);
+		expect(rows.map((row) => row.values)).toEqual(records.map(({ id, x_studio_expiry_date, ...values }) =>
+			x_studio_expiry_date ? { ...values, x_studio_expiry_date } : values
+		));
+	});
+
+	it('reports errors on the line of the file they are on', () => {
+		const rows = importFile('Name,Count,Expiry date\n\nMilk,2,2026-12-31\n"Jam\nstrawberry",x,\n\nEggs,1,31/02/2026\n');
+
+		expect(rows.map((row) => [row.line, row.errors.length])).toEqual([
+			[3, 0],
+			[4, 1],
+			[7, 1]
+		]);
+	});
+
+	it('flags items already in the inventory or repeated in the file', () => {
+		const rows = importFile('name,expiry\nMilk,2026-12-31\nEggs,\nmilk ,31.12.2026\n', [
+			{ id: 1, x_name: 'Eggs', x_studio_expiry_date: false }
+		]);
+
+		expect(rows.map((row) => row.duplicateOf)).toEqual([null, 'inventory', 'file']);
+	});
+});
@@ -0,0 +1,467 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { get } from 'svelte/store';
+import { startFakeOdoo } from './fakeOdoo';
+import { testEnv } from './env';
+import { routeApiToProxy } from './proxy';
+import { setOnline } from './browser';
+
+/** @type {import('./fakeOdoo').FakeOdoo} */
+let odoo;
+/** @type {typeof import('$lib/stores/inventoryCache').inventoryCache} */
+let inventoryCache;
+/** @type {import('vitest').Mock} */
+let fetch;
+
+beforeAll(async () => {
+	odoo = await startFakeOdoo();
+	testEnv.ODOO_URL = odoo.url;
+});
+
+afterAll(() => odoo.close());
+
+beforeEach(async () => {
+	odoo.reset();
+	await openApp();
+});
+
+afterEach(() => {
+	inventoryCache.destroy();
+	vi.unstubAllGlobals();
+});
+
+/**
+ * Load the app's modules as on a fresh page load. IndexedDB and localStorage
+ * keep their content within a test, like a reload in the browser.
+ */
+async function openApp() {
+	inventoryCache?.destroy();
+	vi.resetModules();
+	fetch = await routeApiToProxy();
+	({ inventoryCache } = await import('$lib/stores/inventoryCache'));
+}
+
+function state() {
+	return get(inventoryCache);
+}
+
+function serverItems() {
+	return odoo.records('x_inventory');
+}
+
+// Wait for work started by an event, e.g. the sync after coming back online
+function eventually(assertion) {
+	return vi.waitFor(assertion, { timeout: 3000, interval: 20 });
+}
+
+describe('sync', () => {
+	it('loads every record on the first start and keeps them in IndexedDB', async () => {
+		odoo.seed('x_inventory', [{ x_name: 'Milk', x_studio_items_count: 2 }, { x_name: 'Eggs' }]);
+
+		await inventoryCache.initialize();
+
+		expect(state().records.map((r) => r.x_name)).toEqual(['Milk', 'Eggs']);
+		expect(state().meta.lastWriteDate).toBe(serverItems()[1].write_date);
+
+		const { getAll, STORES } = await import('$lib/db');
+		expect(await getAll(STORES.INVENTORY)).toHaveLength(2);
+	});
+
+	it('fetches a large inventory in pages and reports progress', async () => {
+		odoo.seed('x_inventory', Array.from({ length: 1200 }, (_, i) => ({ x_name: `Item ${i + 1}` })));
+		const progress = [];
+		const unsubscribe = inventoryCache.subscribe((s) => progress.push(s.progress));
+
+		await inventoryCache.initialize();
+		unsubscribe();
+
+		expect(state().records).toHaveLength(1200);
+		expect(state().progress).toBeNull();
+		expect(progress).toContainEqual({ loaded: 500, total: 1200 });
+		expect(progress).toContainEqual({ loaded: 1200, total: 1200 });
+		const pages = odoo.calls.filter((c) => c.method === 'search_read' && c.model === 'x_inventory');
+		expect(pages.map((c) => c.args[0])).toEqual([[['id', '>', 0]], [['id', '>', 500]], [['id', '>', 1000]]]);
+	});
+
+	it('fetches only changes after that and drops records deleted elsewhere', async () => {
+		const [milk, eggs] = odoo.seed('x_inventory', [{ x_name: 'Milk' }, { x_name: 'Eggs' }]);
+		await inventoryCache.initialize();
+
+		odoo.change('x_inventory', milk, { x_name: 'Oat milk' });
+		odoo.drop('x_inventory', eggs);
+		odoo.seed('x_inventory', [{ x_name: 'Butter' }]);
+		odoo.calls.length = 0;
+		await inventoryCache.sync();
+
+		expect(state().records.map((r) => r.x_name)).toEqual(['Oat milk', 'Butter']);
+		const search = odoo.calls.find((c) => c.method === 'search_read' && c.model === 'x_inventory');
+		expect(search.args[0]).toEqual([['write_date', '>=', expect.any(String)]]);
+	});
+
+	it('reads a field added in Studio on the next start, for cached records too', async () => {
+		// Milk is older than the last write_date seen, so a delta fetch would miss it
+		const [milk] = odoo.seed('x_inventory', [{ x_name: 'Milk', x_studio_opened: true }, { x_name: 'Eggs' }]);
+		await inventoryCache.initialize();
+		expect(state().records[0]).not.toHaveProperty('x_studio_opened');
+
+		odoo.addField('x_inventory', 'x_studio_opened', { type: 'boolean', string: 'Opened' });
+		await openApp();
+		await inventoryCache.initialize();
+		await inventoryCache.sync();
+
+		expect(state().records[0]).toMatchObject({ id: milk, x_studio_opened: true });
+	});
+
+	it('shows cached records offline without asking the server', async () => {
+		odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+		await inventoryCache.initialize();
+
+		setOnline(false);
+		await openApp();
+		await inventoryCache.initialize();
+
+		expect(state().records.map((r) => r.x_name)).toEqual(['Milk']);
+		expect(fetch).not.toHaveBeenCalled();
+	});
+
+	it('keeps unsent changes on top of fresh server data', async () => {
+		const [milk] = odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+		await inventoryCache.initialize();
+
+		setOnline(false);
+		await inventoryCache.updateRecord(milk, { x_name: 'Oat milk' });
+
+		// Back online, but the update can't get through (a read is tried three times)
+		odoo.failNext({ status: 503 });
+		odoo.failNext({ status: 503 });
+		odoo.failNext({ status: 503 });
+		setOnline(true);
+		await eventually(() => expect(state().syncing).toBe(false));
+
+		expect(serverItems()[0].x_name).toBe('Milk');
+		expect(state().records[0].x_name).toBe('Oat milk');
+		expect(state().pendingCount).toBe(1);
+	});
+});
+
+describe('counts', () => {
+	it('adds and takes units, never going below zero', async () => {
+		const [milk] = odoo.seed('x_inventory', [{ x_name: 'Milk', x_studio_items_count: 1 }]);
+		await inventoryCache.initialize();
+
+		expect(await inventoryCache.incrementItemCount(milk)).toBe(2);
+		expect(await inventoryCache.decrementItemCount(milk)).toBe(1);
+		expect(await inventoryCache.decrementItemCount(milk)).toBe(0);
+		expect(await inventoryCache.decrementItemCount(milk)).toBe(0);
+
+		expect(serverItems()[0].x_studio_items_count).toBe(0);
+		expect(odoo.records('x_stock_movement').map((m) => [m.x_studio_delta, m.x_studio_reason])).toEqual([
+			[1, 'restocked'],
+			[-1, 'consumed'],
+			[-1, 'consumed']
+		]);
+	});
+
+	it('adds taps to what others did meanwhile instead of overwriting it', async () => {
+		const [milk] = odoo.seed('x_inventory', [{ x_name: 'Milk', x_studio_items_count: 1 }]);
+		await inventoryCache.initialize();
+
+		odoo.change('x_inventory', milk, { x_studio_items_count: 5 });
+		await inventoryCache.incrementItemCount(milk);
+
+		expect(serverItems()[0].x_studio_items_count).toBe(6);
+		expect(state().records[0].x_studio_items_count).toBe(6);
+	});
+
+	it('sets a count directly, clamped at zero', async () => {
+		const [milk] = odoo.seed('x_inventory', [{ x_name: 'Milk', x_studio_items_count: 3 }]);
+		await inventoryCache.initialize();
+
+		expect(await inventoryCache.updateItemCount(milk, -2)).toBe(0);
+		expect(serverItems()[0].x_studio_items_count).toBe(0);
+		expect(odoo.records('x_stock_movement')[0]).toMatchObject({ x_studio_delta: -3, x_studio_reason: 'corrected' });
+	});
+});
+
+describe('bulk changes', () => {
+	it('sends a bulk change in one request and undoes it as a whole', async () => {
+		const [milk, eggs, jam] = odoo.seed('x_inventory', [
+			{ x_name: 'Milk', x_studio_items_count: 1, x_studio_expiry_date: '2026-11-01' },
+			{ x_name: 'Eggs', x_studio_items_count: 6 },
+			{ x_name: 'Jam', x_studio_items_count: 1 }
+		]);
+		await inventoryCache.initialize();
+		fetch.mockClear();
+
+		expect(await inventoryCache.bulkUpdateRecords([milk, eggs], { x_studio_expiry_date: '2026-12-24' })).toBe(2);
+
+		const batches = fetch.mock.calls.filter(([, init]) => JSON.parse(init.body).action === 'batch');
+		expect(batches).toHaveLength(1);
+		expect(serverItems().map((r) => r.x_studio_expiry_date || false)).toEqual(['2026-12-24', '2026-12-24', false]);
+		expect(state().lastBulk).toEqual({ label: 'Updated', count: 2 });
+
+		await inventoryCache.undoBulk();
+
+		expect(serverItems().map((r) => r.x_studio_expiry_date || false)).toEqual(['2026-11-01', false, false]);
+		expect(state().lastBulk).toBeNull();
+		expect(await inventoryCache.undoBulk()).toBe(0);
+	});
+
+	it('adjusts counts clamped at zero and takes back only what moved', async () => {
+		const [milk, eggs] = odoo.seed('x_inventory', [
+			{ x_name: 'Milk', x_studio_items_count: 1 },
+			{ x_name: 'Eggs', x_studio_items_count: 6 }
+		]);
+		await inventoryCache.initialize();
+
+		await inventoryCache.bulkAdjustCount([milk, eggs], -2, 'consumed');
+		expect(serverItems().map((r) => r.x_studio_items_count)).toEqual([0, 4]);
+
+		await inventoryCache.undoBulk();
+		expect(serverItems().map((r) => r.x_studio_items_count)).toEqual([1, 6]);
+		expect(odoo.records('x_stock_movement').map((m) => [m.x_studio_delta, m.x_studio_reason])).toEqual([
+			[-1, 'consumed'],
+			[-2, 'consumed'],
+			[2, 'consumed'],
+			[1, 'consumed']
+		]);
+	});
+
+	it('creates deleted items again on undo, offline-created ones too', async () => {
+		const [fridge] = odoo.seed('x_location', [{ x_name: 'Fridge' }]);
+		const [milk] = odoo.seed('x_inventory', [{ x_name: 'Milk', x_studio_items_count: 2, x_studio_location: fridge }]);
+		await inventoryCache.initialize();
+
+		setOnline(false);
+		const tempId = await inventoryCache.createRecord({ x_name: 'Jam', x_studio_items_count: 1 });
+		await inventoryCache.bulkDeleteRecords([milk, tempId]);
+		expect(state().records).toHaveLength(0);
+
+		setOnline(true);
+		await eventually(() => expect(state().pendingCount).toBe(0));
+		expect(serverItems()).toHaveLength(0);
+
+		await inventoryCache.undoBulk();
+
+		expect(serverItems()).toMatchObject([
+			{ x_name: 'Jam', x_studio_items_count: 1 },
+			{ x_name: 'Milk', x_studio_items_count: 2, x_studio_location: [fridge, 'Fridge'] }
+		]);
+		expect(state().records.map((r) => r.x_name).sort()).toEqual(['Jam', 'Milk']);
+	});
+
+	it('records what deleted items held and leaves it with the old id on undo', async () => {
+		const [milk] = odoo.seed('x_inventory', [{ x_name: 'Milk', x_studio_items_count: 2 }]);
+		await inventoryCache.initialize();
+
+		await inventoryCache.bulkDeleteRecords([milk]);
+		await inventoryCache.undoBulk();
+
+		const movements = odoo.records('x_stock_movement');
+		expect(movements).toMatchObject([{ x_studio_delta: -2, x_studio_reason: 'discarded' }]);
+		// Undo creates the item again under a new id; its history stays with the deleted one
+		expect(serverItems().map((r) => r.id)).not.toContain(milk);
+		expect(movements[0].x_studio_inventory).not.toEqual([serverItems()[0].id, 'Milk']);
+	});
+});
+
+describe('offline', () => {
+	it('queues a create and sends it when the connection returns', async () => {
+		await inventoryCache.initialize();
+
+		setOnline(false);
+		const tempId = await inventoryCache.createRecord({ x_name: 'Milk', x_studio_items_count: 1 });
+
+		expect(tempId).toMatch(/^temp_/);
+		expect(state().records[0].id).toBe(tempId);
+		expect(state().pendingCount).toBe(2); // The item and its movement
+		expect(serverItems()).toHaveLength(0);
+
+		setOnline(true);
+		await eventually(() => expect(state().pendingCount).toBe(0));
+
+		expect(serverItems()).toMatchObject([{ id: 1, x_name: 'Milk' }]);
+		expect(state().records.map((r) => r.id)).toEqual([1]);
+		expect(odoo.records('x_stock_movement')[0].x_studio_inventory).toEqual([1, 'Milk']);
+	});
+
+	it('sends later changes to an offline-created record along with its create', async () => {
+		await inventoryCache.initialize();
+
+		setOnline(false);
+		const tempId = await inventoryCache.createRecord({ x_name: 'Milk', x_studio_items_count: 1 });
+		await inventoryCache.incrementItemCount(tempId);
+		await inventoryCache.updateRecord(tempId, { x_name: 'Oat milk' });
+		fetch.mockClear();
+
+		setOnline(true);
+		await eventually(() => expect(state().pendingCount).toBe(0));
+
+		expect(serverItems()).toMatchObject([{ x_name: 'Oat milk', x_studio_items_count: 2 }]);
+		const batches = fetch.mock.calls.filter(([, init]) => JSON.parse(init.body).action === 'batch');
+		expect(batches).toHaveLength(1);
+	});
+
+	it('waits for async outbox listeners before it is done sending', async () => {
+		const { flush, addOutboxListener } = await import('$lib/outbox');
+		await inventoryCache.initialize();
+		const handled = [];
+		addOutboxListener(async (event) => {
+			await new Promise((resolve) => setTimeout(resolve, 20));
+			handled.push(event.type);
+		});
+
+		setOnline(false);
+		await inventoryCache.createRecord({ x_name: 'Milk', x_studio_items_count: 1 });
+
+		setOnline(true);
+		await flush();
+
+		expect(handled).toEqual(['created', 'created']); // The item and its movement
+		expect(state().records.map((r) => r.id)).toEqual([1]);
+	});
+
+	it('still finds an offline-created record by its temp id after a reload', async () => {
+		await inventoryCache.initialize();
+		setOnline(false);
+		const tempId = await inventoryCache.createRecord({ x_name: 'Milk', x_studio_items_count: 1 });
+		setOnline(true);
+		await eventually(() => expect(state().pendingCount).toBe(0));
+
+		await openApp();
+		await inventoryCache.initialize();
+		const { resolveId } = await import('$lib/outbox');
+
+		expect(resolveId(tempId)).toBe(1);
+		expect(await inventoryCache.bulkUpdateRecords([tempId], { x_name: 'Oat milk' })).toBe(1);
+		expect(serverItems()).toMatchObject([{ id: 1, x_name: 'Oat milk' }]);
+	});
+
+	it('resolves a temp id from an earlier session before the store is loaded', async () => {
+		await inventoryCache.initialize();
+		setOnline(false);
+		const tempId = await inventoryCache.createRecord({ x_name: 'Milk', x_studio_items_count: 1 });
+		setOnline(true);
+		await eventually(() => expect(state().pendingCount).toBe(0));
+
+		await openApp();
+		const { resolveId, resolveSavedId } = await import('$lib/outbox');
+
+		expect(resolveId(tempId)).toBe(tempId);
+		expect(await resolveSavedId(tempId)).toBe(1);
+		expect(await resolveSavedId(5)).toBe(5);
+	});
+
+	it('forgets an offline-created record deleted before it was sent', async () => {
+		await inventoryCache.initialize();
+
+		setOnline(false);
+		const tempId = await inventoryCache.createRecord({ x_name: 'Milk', x_studio_items_count: 0 });
+		await inventoryCache.deleteRecord(tempId);
+
+		expect(state().records).toHaveLength(0);
+		expect(state().pendingCount).toBe(0);
+	});
+});
+
+describe('failures', () => {
+	it('keeps a change queued while Odoo is unreachable', async () => {
+		await inventoryCache.initialize();
+
+		testEnv.ODOO_URL = 'http://127.0.0.1:9';
+		try {
+			await inventoryCache.createRecord({ x_name: 'Milk', x_studio_items_count: 0 });
+			expect(state().pendingCount).toBe(1);
+			expect(state().records[0].id).toMatch(/^temp_/);
+		} finally {
+			testEnv.ODOO_URL = odoo.url;
+		}
+
+		await inventoryCache.sync();
+
+		expect(state().pendingCount).toBe(0);
+		expect(serverItems()).toMatchObject([{ x_name: 'Milk' }]);
+	});
+
+	it('drops a create Odoo rejects and reports it', async () => {
+		await inventoryCache.initialize();
+
+		odoo.failNext({ exception: 'odoo.exceptions.ValidationError', message: 'Name is too long' });
+		await inventoryCache.createRecord({ x_name: 'Milk', x_studio_items_count: 0 });
+
+		expect(state().records).toHaveLength(0);
+		expect(state().pendingCount).toBe(0);
+		expect(state().error).toBe('Failed to sync change: Odoo rejected the values: Name is too long');
+	});
+
+	it('shows a conflicting edit and can re-apply ours', async () => {
+		const [milk] = odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+		await inventoryCache.initialize();
+
+		odoo.change('x_inventory', milk, { x_name: 'Whole milk' });
+		await inventoryCache.updateRecord(milk, { x_name: 'Oat milk' });
+
+		expect(state().conflicts).toMatchObject([{ id: milk, mine: { x_name: 'Oat milk' }, theirs: { x_name: 'Whole milk' } }]);
+		expect(state().records[0].x_name).toBe('Whole milk');
+
+		await inventoryCache.resolveConflict(milk, 'mine');
+
+		expect(state().conflicts).toHaveLength(0);
+		expect(serverItems()[0].x_name).toBe('Oat milk');
+	});
+
+	it('checks an edit against the version it was based on, not the one synced since', async () => {
+		const [milk] = odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+		await inventoryCache.initialize();
+		const opened = state().records[0].write_date;
+
+		odoo.change('x_inventory', milk, { x_name: 'Whole milk' });
+		await inventoryCache.sync();
+		await inventoryCache.updateRecord(milk, { x_name: 'Oat milk' }, opened);
+
+		expect(serverItems()[0].x_name).toBe('Whole milk');
+		expect(state().conflicts).toMatchObject([{ id: milk, mine: { x_name: 'Oat milk' }, theirs: { x_name: 'Whole milk' } }]);
+	});
+
+	it('still sees an edit made elsewhere between a queued count change and a queued edit', async () => {
+		const [milk] = odoo.seed('x_inventory', [{ x_name: 'Milk', x_studio_items_count: 2 }]);
+		await inventoryCache.initialize();
+
+		setOnline(false);
+		await inventoryCache.decrementItemCount(milk);
+		await inventoryCache.updateRecord(milk, { x_name: 'Oat milk' });
+		odoo.change('x_inventory', milk, { x_name: 'Whole milk' });
+		setOnline(true);
+		await eventually(() => expect(state().pendingCount).toBe(0));
+
+		// The count change is added on top; the edit would overwrite theirs, so it waits for the user
+		expect(serverItems()[0]).toMatchObject({ x_name: 'Whole milk', x_studio_items_count: 1 });
+		expect(state().conflicts).toMatchObject([{ id: milk, mine: { x_name: 'Oat milk' }, theirs: { x_name: 'Whole milk' } }]);
+	});
+
+	it('sends edits queued one after another without a conflict with each other', async () => {
+		const [milk] = odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+		await inventoryCache.initialize();
+
+		setOnline(false);
+		await inventoryCache.updateRecord(milk, { x_name: 'Oat milk' });
+		await inventoryCache.updateRecord(milk, { x_studio_items_count: 3 });
+		setOnline(true);
+		await eventually(() => expect(state().pendingCount).toBe(0));
+
+		expect(serverItems()[0]).toMatchObject({ x_name: 'Oat milk', x_studio_items_count: 3 });
+		expect(state().conflicts).toHaveLength(0);
+	});
+
+	it('reports a failed sync without losing the cached records', async () => {
+		odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+		await inventoryCache.initialize();
+
+		// The delta fetch fails, and so does the full fetch it falls back to
+		odoo.failNext({ exception: 'odoo.exceptions.AccessError', message: 'No access' });
+		odoo.failNext({ exception: 'odoo.exceptions.AccessError', message: 'No access' });
+		await inventoryCache.sync();
+
+		expect(state().error).toBe('Odoo refused access: No access');
+		expect(state().records.map((r) => r.x_name)).toEqual(['Milk']);
+	});
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { testEnv } from './env';
+
+/** @type {string} */
+let dir;
+/** @type {import('$lib/server/backends').Backend} */
+let backend;
+
+// A fresh server process: modules read the env again, the data file is read on first use
+async function startServer() {
+	vi.resetModules();
+	({ localBackend: backend } = await import('$lib/server/backends/local'));
+}
+
+beforeEach(async () => {
+	dir = await mkdtemp(join(tmpdir(), 'fridge-local-'));
+	testEnv.LOCAL_DATA_FILE = join(dir, 'data.json');
+	await startServer();
+});
+
+afterEach(async () => {
+	await rm(dir, { recursive: true, force: true });
+});
+
+describe('local backend', () => {
+	it('seeds a new data file once, however many requests arrive first', async () => {
+		const [locations] = await Promise.all([
+			backend.searchRead('x_location', [], ['x_name']),
+			backend.create('x_inventory', { x_name: 'Milk' }),
+			backend.count('x_category', [])
+		]);
+
+		const saved = JSON.parse(await readFile(testEnv.LOCAL_DATA_FILE, 'utf8'));
+		expect(locations.map((r) => r.x_name)).toEqual(['Fridge', 'Freezer', 'Pantry']);
+		expect(saved.models.x_location.records).toHaveLength(3);
+		expect(saved.models.x_inventory.records).toMatchObject([{ id: 1, x_name: 'Milk' }]);
+	});
+
+	it('gives every write its own write_date, also within one second', async () => {
+		const id = await backend.create('x_inventory', { x_name: 'Milk' });
+		const dates = [];
+		for (const name of ['Oat milk', 'Whole milk', 'Milk']) {
+			await backend.write('x_inventory', [id], { x_name: name });
+			dates.push((await backend.read('x_inventory', [id], ['write_date']))[0].write_date);
+		}
+
+		expect(new Set(dates).size).toBe(3);
+		expect([...dates].sort()).toEqual(dates);
+		expect(dates[0]).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+	});
+
+	it('links movements to the configured primary model', async () => {
+		testEnv.ODOO_PRIMARY_MODEL = 'x_pantry_item';
+		await startServer();
+
+		const item = await backend.create('x_pantry_item', { x_name: 'Rice' });
+		await backend.create('x_stock_movement', { x_studio_inventory: item, x_studio_delta: 1 });
+
+		const [movement] = await backend.searchRead('x_stock_movement', [], ['x_studio_inventory']);
+		expect(movement.x_studio_inventory).toEqual([item, 'Rice']);
+		expect(Object.keys(await backend.fieldsGet('x_pantry_item', ['type']))).toContain('x_name');
+	});
+});
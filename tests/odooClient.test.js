@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { startFakeOdoo } from './fakeOdoo';
+import { testEnv } from './env';
+import { routeApiToProxy } from './proxy';
+import { setOnline } from './browser';
+
+/** @type {import('./fakeOdoo').FakeOdoo} */
+let odoo;
+/** @type {typeof import('$lib/odoo')} */
+let client;
+
+beforeAll(async () => {
+	odoo = await startFakeOdoo();
+	testEnv.ODOO_URL = odoo.url;
+});
+
+afterAll(() => odoo.close());
+
+beforeEach(async () => {
+	odoo.reset();
+	vi.resetModules();
+	vi.unstubAllGlobals();
+	await routeApiToProxy();
+	client = await import('$lib/odoo');
+});
+
+describe('OdooAPI', () => {
+	it('creates, reads, updates and deletes records through the proxy', async () => {
+		const { odooClient } = client;
+
+		const id = await odooClient.createRecord('x_inventory', { x_name: 'Milk', x_studio_items_count: 1 });
+		await odooClient.updateRecord('x_inventory', id, { x_studio_items_count: 3 });
+		const [record] = await odooClient.searchRecords('x_inventory', [['id', '=', id]], ['x_name', 'x_studio_items_count']);
+
+		expect(record).toEqual({ id, x_name: 'Milk', x_studio_items_count: 3 });
+
+		await odooClient.deleteRecord('x_inventory', id);
+		expect(await odooClient.countRecords('x_inventory')).toBe(0);
+	});
+
+	it('reads a page at a time and counts matching records', async () => {
+		odoo.seed('x_inventory', [{ x_name: 'Milk' }, { x_name: 'Eggs' }, { x_name: 'Butter' }]);
+		const { odooClient } = client;
+
+		const page = await odooClient.searchRecords('x_inventory', [], ['x_name'], { limit: 2, order: 'id desc' });
+
+		expect(page.map((r) => r.x_name)).toEqual(['Butter', 'Eggs']);
+		expect(await odooClient.countRecords('x_inventory', [['x_name', '!=', 'Eggs']])).toBe(2);
+	});
+
+	it('sends a batch as one request', async () => {
+		const fetch = await routeApiToProxy();
+
+		const results = await client.odooClient.batch([
+			{ action: 'create', data: { model: 'x_inventory', fields: { x_name: 'Milk' } } },
+			{ action: 'search_ids', data: { model: 'x_inventory', domain: [] } }
+		]);
+
+		expect(results[1].ids).toEqual([results[0].id]);
+		expect(fetch.mock.calls.filter(([url]) => String(url).endsWith('/api/odoo'))).toHaveLength(1);
+	});
+
+	it('formats relational values the way Odoo expects', () => {
+		const { odooClient } = client;
+
+		expect(odooClient.formatMany2one('4')).toBe(4);
+		expect(odooClient.formatMany2one(null)).toBe(false);
+		expect(odooClient.formatMany2many([1, '2'])).toEqual([[6, 0, [1, 2]]]);
+	});
+});
+
+describe('errors', () => {
+	it('reports a conflict with the server version', async () => {
+		const [id] = odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+		const [before] = odoo.records('x_inventory');
+		odoo.change('x_inventory', id, { x_name: 'Whole milk' });
+
+		const [result] = await client.odooClient.batch([
+			{
+				action: 'update',
+				data: { model: 'x_inventory', id, values: { x_name: 'Oat milk' }, expected_write_date: before.write_date }
+			}
+		]);
+
+		expect(result).toMatchObject({ success: false, code: 'conflict', current: { x_name: 'Whole milk' } });
+		expect(odoo.records('x_inventory')[0].x_name).toBe('Whole milk');
+	});
+
+	it('passes on Odoo error codes with a readable message', async () => {
+		odoo.failNext({ exception: 'odoo.exceptions.AccessError', message: 'No access to Inventory' });
+
+		const error = await client.odooClient.createRecord('x_inventory', { x_name: 'Milk' }).catch((e) => e);
+
+		expect(error.code).toBe('access_denied');
+		expect(client.describeError(error)).toBe('Odoo refused access: No access to Inventory');
+	});
+
+	it('treats an HTML error page as unavailable', async () => {
+		vi.stubGlobal('fetch', vi.fn(async () => new Response('<html>Bad Gateway</html>', { status: 502 })));
+
+		const error = await client.odooClient.countRecords('x_inventory').catch((e) => e);
+
+		expect(error.code).toBe('unavailable');
+	});
+
+	it('fails with a network error while offline', async () => {
+		setOnline(false);
+
+		const error = await client.odooClient.countRecords('x_inventory').catch((e) => e);
+
+		expect(error).toBeInstanceOf(TypeError);
+	});
+
+	it('sends the user to the login page on 401', async () => {
+		testEnv.AUTH_PROVIDER = 'local';
+		vi.resetModules();
+		await routeApiToProxy();
+		client = await import('$lib/odoo');
+		const { goto } = await import('$app/navigation');
+
+		const error = await client.odooClient.countRecords('x_inventory').catch((e) => e);
+
+		expect(error.code).toBe('unauthorized');
+		expect(goto).toHaveBeenCalledWith('/login?redirect=%2F');
+	});
+});
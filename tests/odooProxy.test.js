@@ -0,0 +1,465 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { startFakeOdoo } from './fakeOdoo';
+import { testEnv } from './env';
+
+/** @type {import('./fakeOdoo').FakeOdoo} */
+let odoo;
+/** @type {import('../src/routes/api/odoo/$types').RequestHandler} */
+let POST;
+
+beforeAll(async () => {
+	odoo = await startFakeOdoo();
+	testEnv.ODOO_URL = odoo.url;
+});
+
+afterAll(() => odoo.close());
+
+beforeEach(async () => {
+	odoo.reset();
+	// Fresh modules: no cached service-account uid, env read again
+	vi.resetModules();
+	({ POST } = await import('../src/routes/api/odoo/+server.js'));
+});
+
+/**
+ * @param {string} action
+ * @param {any} data
+ * @param {App.Locals['user']} [user]
+ */
+async function call(action, data, user = null) {
+	const request = new Request('http://localhost/api/odoo', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ action, data })
+	});
+	const response = await POST(/** @type {any} */ ({ request, locals: { user } }));
+	return { status: response.status, body: await response.json() };
+}
+
+describe('actions', () => {
+	it('creates a record and returns its id and write_date', async () => {
+		const { status, body } = await call('create', {
+			model: 'x_inventory',
+			fields: { x_name: 'Milk', x_studio_items_count: 2 }
+		});
+
+		expect(status).toBe(200);
+		expect(body).toEqual({ success: true, id: 1, write_date: expect.any(String) });
+		expect(odoo.records('x_inventory')).toMatchObject([{ id: 1, x_name: 'Milk', x_studio_items_count: 2 }]);
+	});
+
+	it('searches with a domain and reads many2one fields as [id, name]', async () => {
+		const [fridge] = odoo.seed('x_location', [{ x_name: 'Fridge' }]);
+		odoo.seed('x_inventory', [
+			{ x_name: 'Milk', x_studio_items_count: 1, x_studio_location: fridge },
+			{ x_name: 'Eggs', x_studio_items_count: 0 }
+		]);
+
+		const { body } = await call('search', {
+			model: 'x_inventory',
+			domain: [['x_studio_items_count', '>', 0]],
+			fields: ['x_name', 'x_studio_location']
+		});
+
+		expect(body.results).toEqual([{ id: 1, x_name: 'Milk', x_studio_location: [fridge, 'Fridge'] }]);
+	});
+
+	it('pages and orders search results', async () => {
+		odoo.seed('x_inventory', [{ x_name: 'Milk' }, { x_name: 'Eggs' }, { x_name: 'Butter' }, { x_name: 'Jam' }]);
+
+		const { body } = await call('search', {
+			model: 'x_inventory',
+			domain: [],
+			fields: ['x_name'],
+			limit: 2,
+			offset: 1,
+			order: 'x_name asc'
+		});
+
+		expect(body.results.map((r) => r.x_name)).toEqual(['Eggs', 'Jam']);
+	});
+
+	it('counts the records matching a domain', async () => {
+		odoo.seed('x_inventory', [{ x_name: 'Milk', x_studio_items_count: 1 }, { x_name: 'Eggs', x_studio_items_count: 0 }]);
+
+		const { body } = await call('count', { model: 'x_inventory', domain: [['x_studio_items_count', '>', 0]] });
+
+		expect(body).toEqual({ success: true, count: 1 });
+	});
+
+	it('lists ids only for search_ids', async () => {
+		odoo.seed('x_inventory', [{ x_name: 'Milk' }, { x_name: 'Eggs' }]);
+
+		const { body } = await call('search_ids', { model: 'x_inventory', domain: [] });
+
+		expect(body).toEqual({ success: true, ids: [1, 2] });
+	});
+
+	it('updates a record whose write_date still matches', async () => {
+		const [id] = odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+		const [before] = odoo.records('x_inventory');
+
+		const { status, body } = await call('update', {
+			model: 'x_inventory',
+			id,
+			values: { x_name: 'Oat milk' },
+			expected_write_date: before.write_date
+		});
+
+		expect(status).toBe(200);
+		expect(body.write_date > before.write_date).toBe(true);
+		expect(odoo.records('x_inventory')[0].x_name).toBe('Oat milk');
+	});
+
+	it('refuses an update when someone else changed the record first', async () => {
+		const [id] = odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+		const [before] = odoo.records('x_inventory');
+		odoo.change('x_inventory', id, { x_name: 'Whole milk' });
+
+		const { status, body } = await call('update', {
+			model: 'x_inventory',
+			id,
+			values: { x_name: 'Oat milk' },
+			expected_write_date: before.write_date
+		});
+
+		expect(status).toBe(409);
+		expect(body).toMatchObject({ success: false, code: 'conflict', current: { x_name: 'Whole milk' } });
+		expect(odoo.records('x_inventory')[0].x_name).toBe('Whole milk');
+	});
+
+	it('adjusts a count relative to the server value and never below zero', async () => {
+		const [id] = odoo.seed('x_inventory', [{ x_name: 'Milk', x_studio_items_count: 3 }]);
+
+		const up = await call('adjust', { model: 'x_inventory', id, field: 'x_studio_items_count', delta: 2 });
+		const down = await call('adjust', { model: 'x_inventory', id, field: 'x_studio_items_count', delta: -10 });
+
+		expect(up.body.value).toBe(5);
+		expect(down.body.value).toBe(0);
+		expect(odoo.records('x_inventory')[0].x_studio_items_count).toBe(0);
+	});
+
+	it('adds up adjusts of the same record that arrive at the same time', async () => {
+		const [id] = odoo.seed('x_inventory', [{ x_name: 'Milk', x_studio_items_count: 1 }]);
+
+		const results = await Promise.all([
+			call('adjust', { model: 'x_inventory', id, field: 'x_studio_items_count', delta: 1 }),
+			call('adjust', { model: 'x_inventory', id, field: 'x_studio_items_count', delta: 1 }),
+			call('adjust', { model: 'x_inventory', id, field: 'x_studio_items_count', delta: -1 })
+		]);
+
+		expect(results.map((r) => r.body.value)).toEqual([2, 3, 2]);
+		expect(odoo.records('x_inventory')[0].x_studio_items_count).toBe(2);
+	});
+
+	it('lets only one of two updates based on the same version through', async () => {
+		const [id] = odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+		const [before] = odoo.records('x_inventory');
+
+		const results = await Promise.all(
+			['Oat milk', 'Whole milk'].map((name) =>
+				call('update', { model: 'x_inventory', id, values: { x_name: name }, expected_write_date: before.write_date })
+			)
+		);
+
+		expect(results.map((r) => r.status)).toEqual([200, 409]);
+		expect(odoo.records('x_inventory')[0].x_name).toBe('Oat milk');
+	});
+
+	it('deletes a record and reports one that is already gone as missing', async () => {
+		const [id] = odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+
+		const first = await call('delete', { model: 'x_inventory', id });
+		const second = await call('delete', { model: 'x_inventory', id });
+
+		expect(first.body.success).toBe(true);
+		expect(second.status).toBe(404);
+		expect(second.body.code).toBe('missing');
+	});
+
+	it('rejects unknown actions', async () => {
+		const { status, body } = await call('drop_table', { model: 'x_inventory' });
+
+		expect(status).toBe(403);
+		expect(body.code).toBe('forbidden');
+	});
+
+	it('describes the custom fields of the primary model', async () => {
+		odoo.addField('x_inventory', 'x_studio_owner', { type: 'many2one', string: 'Owner', relation: 'res.users' });
+		odoo.addField('x_inventory', 'x_studio_tags', { type: 'many2many', string: 'Tags', relation: 'x_tag' });
+		odoo.addField('x_inventory', 'x_studio_state', {
+			type: 'selection',
+			string: 'State',
+			selection: [['sealed', 'Sealed'], ['opened', 'Opened']]
+		});
+
+		const { body } = await call('fields_get', { model: 'x_inventory' });
+
+		// Standard fields, unsupported types and relations to models the app can't read are left out
+		expect(Object.keys(body.fields)).toEqual([
+			'x_name',
+			'x_studio_items_count',
+			'x_studio_expiry_date',
+			'x_studio_barcode',
+			'x_studio_location',
+			'x_studio_category',
+			'x_studio_min_quantity',
+			'x_studio_unit_price',
+			'x_studio_state'
+		]);
+		expect(body.fields.x_name).toMatchObject({ type: 'char', string: 'Name', required: true });
+		expect(body.fields.x_studio_state.selection).toEqual([['sealed', 'Sealed'], ['opened', 'Opened']]);
+
+		const other = await call('fields_get', { model: 'x_shopping_item' });
+		expect(other.status).toBe(403);
+	});
+
+	it('stamps movements with the logged-in member', async () => {
+		await call(
+			'create',
+			{ model: 'x_stock_movement', fields: { x_name: 'Milk', x_studio_delta: -1, x_studio_reason: 'consumed' } },
+			{ login: 'sam', name: 'Sam', uid: null }
+		);
+
+		expect(odoo.records('x_stock_movement')[0].x_studio_user).toBe('Sam');
+	});
+});
+
+describe('policy', () => {
+	it('rejects models outside the allow-list before calling Odoo', async () => {
+		const { status, body } = await call('search', { model: 'res.users', domain: [] });
+
+		expect(status).toBe(403);
+		expect(body.code).toBe('forbidden');
+		expect(odoo.calls).toHaveLength(0);
+	});
+
+	it('rejects writes to fields outside the allow-list', async () => {
+		const { status, body } = await call('create', { model: 'x_inventory', fields: { x_name: 'Milk', x_secret: 1 } });
+
+		expect(status).toBe(403);
+		expect(body.details.fields).toEqual(['x_secret']);
+	});
+
+	it('rejects out-of-range limits and orders on unknown fields', async () => {
+		const limit = await call('search', { model: 'x_inventory', domain: [], limit: 100000 });
+		const order = await call('search', { model: 'x_inventory', domain: [], order: 'x_secret desc' });
+		const injected = await call('search', { model: 'x_inventory', domain: [], order: 'id; drop' });
+
+		expect([limit.status, order.status, injected.status]).toEqual([403, 403, 403]);
+		expect(odoo.calls.filter((c) => c.method === 'search_read')).toHaveLength(0);
+	});
+
+	it('rejects domains that follow relations into other models', async () => {
+		const { status, body } = await call('search', {
+			model: 'x_inventory',
+			domain: [['x_studio_category.create_uid.login', '=', 'admin']],
+			fields: ['x_name']
+		});
+
+		expect(status).toBe(403);
+		expect(body.code).toBe('forbidden');
+		expect(odoo.calls.filter((c) => c.method === 'search_read')).toHaveLength(0);
+	});
+
+	it('allows fields added in Studio once the schema lists them', async () => {
+		odoo.addField('x_inventory', 'x_studio_opened', { type: 'boolean', string: 'Opened' });
+		odoo.addField('x_inventory', 'x_studio_days_left', { type: 'integer', string: 'Days Left', readonly: true });
+
+		const create = await call('create', { model: 'x_inventory', fields: { x_name: 'Milk', x_studio_opened: true } });
+		const search = await call('search', { model: 'x_inventory', domain: [['x_studio_opened', '=', true]], fields: ['x_studio_opened'] });
+		const computed = await call('update', { model: 'x_inventory', id: create.body.id, values: { x_studio_days_left: 3 } });
+
+		expect(create.status).toBe(200);
+		expect(search.body.results).toEqual([{ id: 1, x_studio_opened: true }]);
+		expect(computed.status).toBe(403);
+		expect(computed.body.details.fields).toEqual(['x_studio_days_left']);
+	});
+
+	it('keeps id-based calls inside ODOO_PRIMARY_DOMAIN', async () => {
+		testEnv.ODOO_PRIMARY_DOMAIN = JSON.stringify([['x_name', '!=', 'Neighbour']]);
+		vi.resetModules();
+		({ POST } = await import('../src/routes/api/odoo/+server.js'));
+		const [, theirs] = odoo.seed('x_inventory', [{ x_name: 'Milk' }, { x_name: 'Neighbour' }]);
+
+		const search = await call('search_ids', { model: 'x_inventory', domain: [] });
+		const remove = await call('delete', { model: 'x_inventory', id: theirs });
+
+		expect(search.body.ids).toEqual([1]);
+		expect(remove.status).toBe(403);
+		expect(odoo.records('x_inventory')).toHaveLength(2);
+	});
+
+	it('keeps created and written values inside ODOO_PRIMARY_DOMAIN', async () => {
+		testEnv.ODOO_PRIMARY_DOMAIN = JSON.stringify([['x_studio_household', '=', 3]]);
+		odoo.addField('x_inventory', 'x_studio_household', { type: 'integer', string: 'Household' });
+		vi.resetModules();
+		({ POST } = await import('../src/routes/api/odoo/+server.js'));
+
+		const created = await call('create', { model: 'x_inventory', fields: { x_name: 'Milk' } });
+		const outside = await call('create', { model: 'x_inventory', fields: { x_name: 'Jam', x_studio_household: 4 } });
+		const id = created.body.id;
+		const moved = await call('update', { model: 'x_inventory', id, values: { x_studio_household: 4 } });
+		const renamed = await call('update', { model: 'x_inventory', id, values: { x_name: 'Oat milk' } });
+
+		expect([created.status, outside.status, moved.status, renamed.status]).toEqual([200, 403, 403, 200]);
+		expect(odoo.records('x_inventory')).toMatchObject([{ x_name: 'Oat milk', x_studio_household: 3 }]);
+	});
+
+	it('records the member in ODOO_ATTRIBUTION_FIELD only on models that have it', async () => {
+		testEnv.ODOO_ATTRIBUTION_FIELD = 'x_studio_updated_by';
+		vi.resetModules();
+		({ POST } = await import('../src/routes/api/odoo/+server.js'));
+		const alice = { login: 'alice', name: 'Alice', uid: null };
+
+		const item = await call('create', { model: 'x_inventory', fields: { x_name: 'Milk' } }, alice);
+		await call('adjust', { model: 'x_inventory', id: item.body.id, field: 'x_studio_items_count', delta: 1 }, alice);
+		await call('create', { model: 'x_shopping_item', fields: { x_name: 'Jam' } }, alice);
+		await call('create', { model: 'x_stock_movement', fields: { x_studio_inventory: item.body.id, x_studio_delta: 1 } }, alice);
+
+		const written = odoo.calls.filter((c) => c.method === 'create' || c.method === 'write');
+		expect(written.map((c) => [c.model, 'x_studio_updated_by' in c.args.at(-1)])).toEqual([
+			['x_inventory', true],
+			['x_inventory', true],
+			['x_shopping_item', true],
+			['x_stock_movement', false]
+		]);
+		expect(odoo.records('x_stock_movement')).toMatchObject([{ x_studio_user: 'Alice' }]);
+	});
+
+	it('answers 400 for record ids that are not positive integers', async () => {
+		odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+
+		const update = await call('update', { model: 'x_inventory', id: '1', values: { x_name: 'Oat milk' } });
+		const adjust = await call('adjust', { model: 'x_inventory', id: 1.5, field: 'x_studio_items_count', delta: 1 });
+		const remove = await call('delete', { model: 'x_inventory', id: [1] });
+
+		expect([update.status, adjust.status, remove.status]).toEqual([400, 400, 400]);
+		expect(remove.body.code).toBe('invalid_request');
+		expect(odoo.records('x_inventory')).toMatchObject([{ x_name: 'Milk' }]);
+	});
+
+	it('answers 401 without a session when login is required', async () => {
+		testEnv.AUTH_PROVIDER = 'local';
+		vi.resetModules();
+		({ POST } = await import('../src/routes/api/odoo/+server.js'));
+
+		const { status, body } = await call('search', { model: 'x_inventory', domain: [] });
+
+		expect(status).toBe(401);
+		expect(body.code).toBe('unauthorized');
+	});
+});
+
+describe('batch', () => {
+	it('runs operations in order and resolves $ref placeholders', async () => {
+		const { body } = await call('batch', {
+			operations: [
+				{ action: 'create', data: { model: 'x_inventory', fields: { x_name: 'Milk', x_studio_items_count: 1 } } },
+				{
+					action: 'create',
+					data: { model: 'x_stock_movement', fields: { x_studio_inventory: { $ref: 0 }, x_studio_delta: 1 } }
+				},
+				{
+					action: 'update',
+					data: {
+						model: 'x_inventory',
+						id: { $ref: 0 },
+						values: { x_studio_items_count: 4 },
+						expected_write_date: { $ref: 0, key: 'write_date' }
+					}
+				}
+			]
+		});
+
+		expect(body.results.map((r) => r.success)).toEqual([true, true, true]);
+		expect(odoo.records('x_stock_movement')[0].x_studio_inventory).toEqual([1, 'Milk']);
+		expect(odoo.records('x_inventory')[0].x_studio_items_count).toBe(4);
+	});
+
+	it('skips everything after the first failure', async () => {
+		const { status, body } = await call('batch', {
+			operations: [
+				{ action: 'delete', data: { model: 'x_inventory', id: 99 } },
+				{ action: 'create', data: { model: 'x_inventory', fields: { x_name: 'Milk' } } }
+			]
+		});
+
+		expect(status).toBe(200);
+		expect(body.results.map((r) => r.code)).toEqual(['missing', 'skipped']);
+		expect(odoo.records('x_inventory')).toHaveLength(0);
+	});
+
+	it('rejects nested batches', async () => {
+		const { body } = await call('batch', { operations: [{ action: 'batch', data: { operations: [] } }] });
+
+		expect(body.results[0].code).toBe('forbidden');
+	});
+});
+
+describe('Odoo failures', () => {
+	it('maps Odoo exceptions to error codes and statuses', async () => {
+		odoo.failNext({ exception: 'odoo.exceptions.ValidationError', message: 'Name is required' });
+
+		const { status, body } = await call('create', { model: 'x_inventory', fields: { x_name: '' } });
+
+		expect(status).toBe(422);
+		expect(body).toMatchObject({ success: false, code: 'validation', error: 'Name is required' });
+	});
+
+	it('retries reads after a transient failure', async () => {
+		odoo.seed('x_inventory', [{ x_name: 'Milk' }]);
+		odoo.failNext({ status: 502 });
+
+		const { status, body } = await call('search_ids', { model: 'x_inventory', domain: [] });
+
+		expect(status).toBe(200);
+		expect(body.ids).toEqual([1]);
+	});
+
+	it('does not resend a write that may have been applied', async () => {
+		// The first call logs in, the second is the create
+		await call('search_ids', { model: 'x_inventory', domain: [] });
+		odoo.failNext({ status: 503 });
+
+		const { status, body } = await call('create', { model: 'x_inventory', fields: { x_name: 'Milk' } });
+
+		expect(status).toBe(503);
+		expect(body.code).toBe('unavailable');
+		expect(odoo.calls.filter((c) => c.method === 'create')).toHaveLength(0);
+	});
+
+	it('reports an unreachable Odoo as unavailable', async () => {
+		testEnv.ODOO_URL = 'http://127.0.0.1:9';
+		try {
+			const { status, body } = await call('create', { model: 'x_inventory', fields: { x_name: 'Milk' } });
+
+			expect(status).toBe(503);
+			expect(body.code).toBe('unavailable');
+		} finally {
+			testEnv.ODOO_URL = odoo.url;
+		}
+	});
+
+	it('logs in once and again when Odoo stops accepting the session', async () => {
+		await call('search_ids', { model: 'x_inventory', domain: [] });
+		await call('search_ids', { model: 'x_inventory', domain: [] });
+		expect(odoo.calls.filter((c) => c.method === 'login')).toHaveLength(1);
+
+		odoo.failNext({ exception: 'odoo.exceptions.AccessDenied' });
+		const { status } = await call('create', { model: 'x_inventory', fields: { x_name: 'Milk' } });
+
+		expect(status).toBe(200);
+		expect(odoo.calls.filter((c) => c.method === 'login')).toHaveLength(2);
+		expect(odoo.records('x_inventory')).toHaveLength(1);
+	});
+
+	it('reports rejected service account credentials', async () => {
+		odoo.rotateKey('new-key');
+
+		const { status, body } = await call('search_ids', { model: 'x_inventory', domain: [] });
+
+		expect(status).toBe(502);
+		expect(body.code).toBe('odoo_auth');
+	});
+});
@@ -0,0 +1,27 @@
+// @ts-check
+import { vi } from 'vitest';
+
+/**
+ * Route the browser's /api/odoo requests to the proxy's POST handler, so the
+ * client code runs against the real proxy and, behind it, the fake Odoo
+ * server. While navigator.onLine is false the request fails like a dropped
+ * connection. Other URLs (the fake Odoo server) use the real fetch.
+ * @param {{ user?: App.Locals['user'] }} [options] - Logged-in member
+ * @returns {Promise<import('vitest').Mock>} - The stub, to inspect the requests
+ */
+export async function routeApiToProxy({ user = null } = {}) {
+	const { POST } = await import('../src/routes/api/odoo/+server.js');
+	const realFetch = globalThis.fetch;
+
+	const stub = vi.fn(async (input, init) => {
+		const url = String(input);
+		if (!url.endsWith('/api/odoo')) return realFetch(input, init);
+
+		if (!navigator.onLine) throw new TypeError('Failed to fetch');
+		const request = new Request(new URL(url, 'http://localhost'), init);
+		return POST(/** @type {any} */ ({ request, locals: { user } }));
+	});
+
+	vi.stubGlobal('fetch', stub);
+	return stub;
+}
@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { get } from 'svelte/store';
+import { startFakeOdoo } from './fakeOdoo';
+import { testEnv } from './env';
+import { routeApiToProxy } from './proxy';
+import { setOnline } from './browser';
+import {
+	DEFAULT_FIELDS,
+	formFields,
+	normalizeSchema,
+	recordToForm,
+	validateForm,
+	formToValues,
+	changedValues,
+	formatFieldValue
+} from '$lib/schema';
+
+/** @type {import('./fakeOdoo').FakeOdoo} */
+let odoo;
+
+beforeAll(async () => {
+	odoo = await startFakeOdoo();
+	testEnv.ODOO_URL = odoo.url;
+});
+
+afterAll(() => odoo.close());
+
+beforeEach(() => {
+	odoo.reset();
+	vi.resetModules();
+	vi.unstubAllGlobals();
+});
+
+const schema = normalizeSchema({
+	...DEFAULT_FIELDS,
+	x_studio_opened: { type: 'boolean', string: 'Opened' },
+	x_studio_state: { type: 'selection', string: 'State', selection: [['sealed', 'Sealed'], ['opened', 'Opened']] },
+	x_studio_days_left: { type: 'integer', string: 'Days Left', readonly: true },
+	x_studio_tags: { type: 'many2many', string: 'Tags' }
+});
+
+describe('forms', () => {
+	it('lists editable fields of supported types, the app fields first', () => {
+		expect(formFields(schema).map((f) => f.name)).toEqual([
+			'x_name',
+			'x_studio_items_count',
+			'x_studio_min_quantity',
+			'x_studio_unit_price',
+			'x_studio_expiry_date',
+			'x_studio_location',
+			'x_studio_category',
+			'x_studio_barcode',
+			'x_studio_opened',
+			'x_studio_state'
+		]);
+	});
+
+	it('reports required fields and values of the wrong type', () => {
+		const fields = formFields(schema);
+		const form = { ...recordToForm(fields), x_studio_items_count: '1.5', x_studio_state: 'frozen' };
+
+		expect(validateForm(fields, form)).toEqual({
+			x_name: 'Name is required',
+			x_studio_items_count: 'Items Count must be a whole number',
+			x_studio_state: 'State is not one of the choices'
+		});
+	});
+
+	it('converts form values to Odoo values and back', () => {
+		const fields = formFields(schema);
+		const record = {
+			x_name: 'Milk',
+			x_studio_items_count: 2,
+			x_studio_location: [3, 'Fridge'],
+			x_studio_expiry_date: '2026-11-01',
+			x_studio_opened: true,
+			x_studio_barcode: false
+		};
+
+		const form = recordToForm(fields, record);
+		expect(form).toMatchObject({ x_studio_items_count: '2', x_studio_location: '3', x_studio_barcode: '' });
+
+		expect(formToValues(fields, form)).toMatchObject({
+			x_name: 'Milk',
+			x_studio_items_count: 2,
+			x_studio_location: 3,
+			x_studio_barcode: false,
+			x_studio_opened: true
+		});
+		expect(formToValues(fields, form, { omitEmpty: true })).toEqual({
+			x_name: 'Milk',
+			x_studio_items_count: 2,
+			x_studio_expiry_date: '2026-11-01',
+			x_studio_location: 3,
+			x_studio_opened: true
+		});
+	});
+
+	it('reports only the fields an edit changed', () => {
+		const fields = formFields(schema);
+		const record = {
+			x_name: 'Milk',
+			x_studio_items_count: 2,
+			x_studio_location: [3, 'Fridge'],
+			x_studio_expiry_date: '2026-11-01',
+			x_studio_barcode: false
+		};
+		const form = recordToForm(fields, record);
+		expect(changedValues(fields, record, form)).toEqual({});
+
+		form.x_name = ' Oat milk ';
+		form.x_studio_items_count = '2.0';
+		form.x_studio_location = '4';
+		form.x_studio_expiry_date = '';
+		expect(changedValues(fields, record, form)).toEqual({
+			x_name: 'Oat milk',
+			x_studio_location: 4,
+			x_studio_expiry_date: false
+		});
+	});
+
+	it('formats values for display', () => {
+		expect(formatFieldValue(schema.x_studio_state, 'opened')).toBe('Opened');
+		expect(formatFieldValue(schema.x_studio_opened, false)).toBe('No');
+		expect(formatFieldValue(schema.x_studio_location, [3, 'Fridge'])).toBe('Fridge');
+		expect(formatFieldValue(schema.x_studio_barcode, false)).toBe('');
+	});
+});
+
+describe('inventorySchema', () => {
+	it('fetches the schema and keeps it for offline use', async () => {
+		odoo.addField('x_inventory', 'x_studio_opened', { type: 'boolean', string: 'Opened' });
+		await routeApiToProxy();
+		let { inventorySchema } = await import('$lib/stores/schema');
+
+		await inventorySchema.load();
+		expect(get(inventorySchema).x_studio_opened).toMatchObject({ type: 'boolean', string: 'Opened' });
+
+		setOnline(false);
+		vi.resetModules();
+		({ inventorySchema } = await import('$lib/stores/schema'));
+		expect(get(inventorySchema).x_studio_opened).toBeUndefined();
+
+		await inventorySchema.load();
+		expect(get(inventorySchema).x_studio_opened).toMatchObject({ type: 'boolean' });
+	});
+
+	it('keeps the built-in fields when the schema cannot be fetched', async () => {
+		await routeApiToProxy();
+		const { inventorySchema } = await import('$lib/stores/schema');
+		odoo.failNext({ exception: 'odoo.exceptions.AccessError', message: 'No access' });
+
+		await inventorySchema.load();
+
+		expect(Object.keys(get(inventorySchema))).toEqual(Object.keys(DEFAULT_FIELDS));
+	});
+});
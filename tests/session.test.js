@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { testEnv } from './env';
+
+/** @type {typeof import('../src/lib/server/session.js')} */
+let session;
+
+beforeEach(async () => {
+	vi.resetModules();
+	session = await import('../src/lib/server/session.js');
+});
+
+// Just enough of SvelteKit's Cookies for the session helpers
+function fakeCookies() {
+	/** @type {Map<string, string>} */
+	const jar = new Map();
+	return /** @type {any} */ ({
+		get: (name) => jar.get(name),
+		set: (name, value) => void jar.set(name, value),
+		delete: (name) => void jar.delete(name)
+	});
+}
+
+const alice = { login: 'alice', name: 'Alice', uid: null };
+
+describe('session cookie', () => {
+	it('reads back the user it was issued for', async () => {
+		const cookies = fakeCookies();
+
+		await session.startSession(cookies, alice);
+
+		expect(await session.readSession(cookies)).toEqual(alice);
+	});
+
+	it('ignores a cookie that was tampered with', async () => {
+		const cookies = fakeCookies();
+		await session.startSession(cookies, alice);
+		const [, signature] = cookies.get(session.SESSION_COOKIE).split('.');
+		const forged = btoa(JSON.stringify({ ...alice, login: 'admin', exp: Date.now() + 60000 }));
+
+		cookies.set(session.SESSION_COOKIE, `${forged}.${signature}`);
+
+		expect(await session.readSession(cookies)).toBeNull();
+	});
+
+	it('refuses a missing, short or example secret', async () => {
+		for (const secret of ['', 'too-short', 'change-me-to-a-long-random-string-of-32-chars']) {
+			testEnv.SESSION_SECRET = secret;
+
+			await expect(session.startSession(fakeCookies(), alice)).rejects.toThrow(/SESSION_SECRET/);
+		}
+	});
+});
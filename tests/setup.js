@@ -0,0 +1,38 @@
+// @ts-check
+import { vi, beforeEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { testEnv, resetEnv } from './env';
+import { resetBrowser } from './browser';
+
+/**
+ * Test Environment
+ *
+ * Runs before every test file: server env vars come from testEnv instead of
+ * .env, and the browser APIs the stores use (IndexedDB and those in
+ * browser.js) are in-memory versions that start empty for each test.
+ */
+
+vi.mock('$env/dynamic/private', () => ({ env: testEnv }));
+
+vi.mock('$env/static/private', () => ({
+	get ODOO_URL() {
+		return testEnv.ODOO_URL;
+	},
+	get ODOO_DB() {
+		return testEnv.ODOO_DB;
+	},
+	get ODOO_USERNAME() {
+		return testEnv.ODOO_USERNAME;
+	},
+	get ODOO_API_KEY() {
+		return testEnv.ODOO_API_KEY;
+	}
+}));
+
+vi.mock('$app/navigation', () => ({ goto: vi.fn(), replaceState: vi.fn() }));
+
+beforeEach(() => {
+	globalThis.indexedDB = new IDBFactory();
+	resetBrowser();
+	resetEnv();
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { defaultView, viewDomain } from '$lib/views';
+import { filterByDomain, isLowStock } from '$lib/inventoryUtils';
+
+/** @type {import('$lib/views').ListView} */
+const lowStock = { ...defaultView(), status: ['low'] };
+
+describe('viewDomain', () => {
+	it('counts items below their own minimum as low stock', () => {
+		const records = [
+			{ id: 1, x_name: 'Milk', x_studio_items_count: 3, x_studio_min_quantity: 4 },
+			{ id: 2, x_name: 'Eggs', x_studio_items_count: 4, x_studio_min_quantity: 4 },
+			{ id: 3, x_name: 'Jam', x_studio_items_count: 0, x_studio_min_quantity: 0 },
+			{ id: 4, x_name: 'Butter', x_studio_items_count: 2 }
+		];
+
+		const low = filterByDomain(records, viewDomain(lowStock, new Date(), ['x_name'], records));
+
+		expect(low.map((r) => r.x_name)).toEqual(['Milk', 'Jam']);
+	});
+
+	it('flags items without a minimum only once they have run out, like the shopping list', () => {
+		const records = [
+			{ id: 1, x_name: 'Milk', x_studio_items_count: 1 },
+			{ id: 2, x_name: 'Eggs', x_studio_items_count: 0 },
+			{ id: 3, x_name: 'Jam', x_studio_items_count: false, x_studio_min_quantity: false },
+			{ id: 4, x_name: 'Butter', x_studio_items_count: false, x_studio_min_quantity: 2 }
+		];
+
+		const low = filterByDomain(records, viewDomain(lowStock, new Date(), ['x_name'], records));
+
+		expect(low.map((r) => r.x_name)).toEqual(['Eggs', 'Jam', 'Butter']);
+		expect(records.filter(isLowStock)).toEqual(low);
+	});
+
+	it('keeps filtering right after counts change, without a list of ids', () => {
+		const records = [
+			{ id: 1, x_name: 'Milk', x_studio_items_count: 5, x_studio_min_quantity: 4 },
+			{ id: 2, x_name: 'Eggs', x_studio_items_count: 1 }
+		];
+		const domain = viewDomain(lowStock, new Date(), ['x_name'], records);
+
+		const changed = [
+			{ ...records[0], x_studio_items_count: 3 },
+			{ ...records[1], x_studio_items_count: 0 },
+			{ id: 3, x_name: 'Jam', x_studio_items_count: 0 }
+		];
+
+		expect(JSON.stringify(domain)).not.toContain('"id"');
+		expect(filterByDomain(changed, domain).map((r) => r.x_name)).toEqual(['Milk', 'Eggs', 'Jam']);
+	});
+});
@@ -1,5 +1,5 @@
 import { sveltekit } from '@sveltejs/kit/vite';
-import { defineConfig } from 'vite';
+import { defineConfig } from 'vitest/config';
 import { VitePWA } from 'vite-plugin-pwa';
 
 export default defineConfig({
@@ -8,7 +8,9 @@ export default defineConfig({
 		VitePWA({
 			registerType: 'autoUpdate',
 			workbox: {
-				globPatterns: ['**/*.{js,css,html,ico,png,svg,json,webp}']
+				globPatterns: ['**/*.{js,css,html,ico,png,svg,json,webp}'],
+				// Local expiry notifications (static/expiry-notifications.js)
+				importScripts: ['expiry-notifications.js']
 			},
 			manifest: {
 				id: '/',
@@ -36,5 +38,11 @@ export default defineConfig({
 				]
 			}
 		})
-	]
+	],
+	test: {
+		include: ['tests/**/*.test.js'],
+		// In-memory IndexedDB, env vars and browser globals (see tests/setup.js)
+		setupFiles: ['tests/setup.js'],
+		environment: 'node'
+	}
 });